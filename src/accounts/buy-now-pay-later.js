@@ -0,0 +1,201 @@
+/**
+ * Buy now pay later represents interest free "pay in 4" style installment plans, where part of the purchase is paid at
+ * checkout and the rest in a few short installments, along with their late fee rules.
+ * @module buy-now-pay-later
+ */
+
+import { Amount } from '../math/mini-money.js';
+
+import { PERIODS_PER_YEAR } from './loan.js';
+
+const DEFAULT_INSTALLMENT_COUNT = 4;
+
+/**
+ * Buy now pay later account splits a purchase into equal installments with no interest. The first installment is paid
+ * at checkout and absorbs any rounding remainder, the rest are due every period after it. Late installments are charged
+ * a flat late fee once they are more than lateFeeGraceDays late, and the late fees charged on a plan may be capped at
+ * a share of the purchase amount.
+ * @class Account
+ */
+class Account {
+  /**
+   * Creates an immutable plan, like the loan account it assumes each installment is paid on its due date.
+   * @param {number} principal The purchase amount
+   * @param {object} [options]
+   * @param {number} [options.installmentCount=4] The number of installments, including the one paid at checkout
+   * @param {string} [options.periodType='BIWEEK'] The time between installments, one of 'WEEK', 'BIWEEK',
+   *  'SEMIMONTH' or 'MONTH'
+   * @param {number} [options.lateFee=0] Fee charged for each late or missed installment
+   * @param {number} [options.lateFeeGraceDays=0] Days after the due date an installment may be paid without a late fee
+   * @param {number} [options.lateFeeCap] The most the plan charges in late fees, as a decimal share of the principal
+   */
+  constructor(
+    principal,
+    {
+      installmentCount = DEFAULT_INSTALLMENT_COUNT,
+      periodType = 'BIWEEK',
+      lateFee = 0,
+      lateFeeGraceDays = 0,
+      lateFeeCap,
+    } = {},
+  ) {
+    const fixedZero = new Amount(0);
+    this.principal = new Amount(principal);
+    if (!fixedZero.lessThan(this.principal)) {
+      throw new Error('Principal must be greater than zero');
+    }
+    if (!Number.isInteger(installmentCount) || installmentCount < 2) {
+      throw new Error('Installment count must be an integer of at least 2');
+    }
+    const normalizedPeriodType = typeof periodType === 'string' ? periodType.toUpperCase() : '';
+    if (!Object.prototype.hasOwnProperty.call(PERIODS_PER_YEAR, normalizedPeriodType)) {
+      throw new Error('Unsupported period type');
+    }
+    this.lateFee = new Amount(lateFee);
+    if (this.lateFee.lessThan(fixedZero)) {
+      throw new Error('Late fee must be zero or greater');
+    }
+    if (!Number.isInteger(lateFeeGraceDays) || lateFeeGraceDays < 0) {
+      throw new Error('Late fee grace days must be a non-negative integer');
+    }
+    if (lateFeeCap !== undefined && new Amount(lateFeeCap).lessThan(fixedZero)) {
+      throw new Error('Late fee cap must be zero or greater');
+    }
+
+    this.installmentCount = installmentCount;
+    this.periodType = normalizedPeriodType;
+    this.lateFeeGraceDays = lateFeeGraceDays;
+    this.maximumLateFees =
+      lateFeeCap === undefined
+        ? undefined
+        : this.principal.multiplyBy(new Amount(lateFeeCap), {
+            roundingMode: 'bankers',
+            decimalPlaces: 2,
+          });
+  }
+
+  /**
+   * Returns the installment due every period after checkout.
+   * @method payment
+   * @returns {Amount} payment amount per period
+   */
+  payment() {
+    return this.principal.divideBy(new Amount(this.installmentCount), {
+      roundingMode: 'bankers',
+      decimalPlaces: 2,
+    });
+  }
+
+  /**
+   * Returns the installment paid at checkout, which takes up any rounding remainder.
+   * @method upfrontPayment
+   * @returns {Amount} The amount due at checkout
+   */
+  upfrontPayment() {
+    return this.principal.subtractFrom(
+      this.payment().multiplyBy(new Amount(this.installmentCount - 1)),
+    );
+  }
+
+  /**
+   * Returns the installments due after checkout.
+   * @method amortizationSchedule
+   * @returns {Array<{period: number, payment: Amount, interest: Amount, principal: Amount, balance: Amount}>}
+   *  One entry per period, in due order, where balance is the amount left to pay after the installment
+   */
+  amortizationSchedule() {
+    return this.latePaymentSchedule().schedule.map(
+      ({ period, payment, interest, principal, balance }) => ({
+        period,
+        payment,
+        interest,
+        principal,
+        balance,
+      }),
+    );
+  }
+
+  /**
+   * Returns a stress-tested schedule where some installments are paid late or missed entirely. An installment paid
+   * more than lateFeeGraceDays late is charged the late fee with it. A missed installment is charged the late fee and
+   * both roll into the next installment, so the final installment can not be missed. Once the plan's late fees reach
+   * the cap no more are charged.
+   * @method latePaymentSchedule
+   * @param {object} [options]
+   * @param {Array<number>} [options.missedPeriods=[]] One-based periods after checkout where no payment is made
+   * @param {Array<{period: number, daysLate: number}>} [options.latePayments=[]] Installments paid after their due
+   *  date
+   * @returns {{schedule: Array<object>, totalLateFees: Amount, additionalCost: Amount}} The revised schedule, where
+   *  each entry also reports the lateFee charged and whether the installment was missed, along with the total late
+   *  fees, which are also the extra cost compared to paying on time
+   */
+  latePaymentSchedule({ missedPeriods = [], latePayments = [] } = {}) {
+    const periodCount = this.installmentCount - 1;
+    const missed = new Set();
+    for (const period of missedPeriods) {
+      if (!Number.isInteger(period) || period <= 0 || period >= periodCount) {
+        throw new Error('Missed period must be within the plan and before the final installment');
+      }
+      missed.add(period);
+    }
+    const lateFeePeriods = new Set(missed);
+    for (const { period, daysLate } of latePayments) {
+      if (!Number.isInteger(period) || period <= 0 || period > periodCount) {
+        throw new Error('Late payment period must be within the plan');
+      }
+      if (!Number.isInteger(daysLate) || daysLate < 0) {
+        throw new Error('Days late must be a non-negative integer');
+      }
+      if (daysLate > this.lateFeeGraceDays) {
+        lateFeePeriods.add(period);
+      }
+    }
+
+    const fixedZero = new Amount(0);
+    const installment = this.payment();
+    const schedule = [];
+    let balance = this.principal.subtractFrom(this.upfrontPayment());
+    let carried = fixedZero;
+    let totalLateFees = fixedZero;
+    for (let period = 1; period <= periodCount; period += 1) {
+      let lateFee = fixedZero;
+      if (lateFeePeriods.has(period)) {
+        lateFee = this.lateFee;
+        if (this.maximumLateFees !== undefined) {
+          const feeRoom = this.maximumLateFees.subtractFrom(totalLateFees);
+          lateFee = feeRoom.lessThan(lateFee) ? feeRoom : lateFee;
+        }
+        totalLateFees = totalLateFees.addTo(lateFee);
+      }
+
+      const isMissed = missed.has(period);
+      const due = period === periodCount ? balance : carried.addTo(installment);
+      let payment = fixedZero;
+      let principal = fixedZero;
+      if (isMissed) {
+        // the missed installment and its fee are added to the next installment
+        carried = due.addTo(lateFee);
+        balance = balance.addTo(lateFee);
+      } else {
+        payment = due.addTo(lateFee);
+        principal = due;
+        carried = fixedZero;
+        balance = balance.subtractFrom(principal);
+      }
+
+      schedule.push({
+        period,
+        payment,
+        interest: fixedZero,
+        principal,
+        balance,
+        lateFee,
+        missed: isMissed,
+      });
+    }
+
+    return { schedule, totalLateFees, additionalCost: totalLateFees };
+  }
+}
+
+export { Account };
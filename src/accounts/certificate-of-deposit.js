@@ -0,0 +1,224 @@
+/**
+ * Certificate of deposit represents a fixed term deposit that pays a fixed apy until maturity and charges a penalty
+ * when redeemed early.
+ * @module certificate-of-deposit
+ */
+
+import { addDays, addMonthsPreserveDay, daysBetween, normalizeDate } from '../math/calendar.js';
+import { financialCalendar } from '../math/constants.js';
+import { Amount } from '../math/mini-money.js';
+
+import { Account as DepositAccount } from './deposit.js';
+
+const DEFAULT_PENALTY_DAYS = 90;
+
+/**
+ * Certificate of deposit account accrues daily compounding interest like the deposit account, but only until
+ * maturity, and the whole certificate is redeemed at once. Redeeming before maturity forfeits a penalty of
+ * earlyWithdrawalPenaltyDays of simple interest on the principal, which may reduce the principal returned.
+ * Interest is credited immediately by accrueForDays and at maturity by accrueForDaysWithPosting. Without a start date
+ * the term is measured in idealized months of daysInMonth days.
+ * @class Account
+ */
+class Account {
+  #deposit;
+  #elapsedDays = 0;
+  #redeemed = false;
+  #earlyWithdrawalPenalty;
+  #interestPaidAtRedemption;
+  /**
+   * Opens a certificate of deposit.
+   * @param {number} principal The amount deposited at opening
+   * @param {number} apy The annual percentage yield paid through maturity
+   * @param {number} termMonths The number of months until the certificate matures
+   * @param {object} [options]
+   * @param {Date|string|number} [options.startDate] The date the certificate opens, used to find the maturity date
+   * @param {number} [options.earlyWithdrawalPenaltyDays=90] Days of interest forfeited when redeemed early
+   * @param {number} [options.daysInMonth=31] The days in an idealized month, used for the term without a start date
+   */
+  constructor(
+    principal,
+    apy,
+    termMonths,
+    {
+      startDate,
+      earlyWithdrawalPenaltyDays = DEFAULT_PENALTY_DAYS,
+      daysInMonth = financialCalendar.daysInMonth,
+    } = {},
+  ) {
+    if (!Number.isInteger(termMonths) || termMonths <= 0) {
+      throw new Error('Term months must be a positive integer');
+    }
+    if (!Number.isInteger(earlyWithdrawalPenaltyDays) || earlyWithdrawalPenaltyDays < 0) {
+      throw new Error('Early withdrawal penalty days must be a non-negative integer');
+    }
+    if (!Number.isInteger(daysInMonth) || daysInMonth <= 0) {
+      throw new Error('Days in month must be a positive integer');
+    }
+
+    const fixedZero = new Amount(0);
+    this.principal = new Amount(principal);
+    if (this.principal.lessThan(fixedZero)) {
+      throw new Error('Principal must be zero or greater');
+    }
+    this.apy = new Amount(apy);
+    if (this.apy.lessThan(fixedZero)) {
+      throw new Error('APY must be zero or greater');
+    }
+
+    this.termMonths = termMonths;
+    this.earlyWithdrawalPenaltyDays = earlyWithdrawalPenaltyDays;
+    this.startDate = startDate === undefined ? undefined : normalizeDate(startDate);
+    this.maturityDate =
+      this.startDate === undefined ? undefined : addMonthsPreserveDay(this.startDate, termMonths);
+    this.termDays =
+      this.startDate === undefined
+        ? termMonths * daysInMonth
+        : daysBetween(this.startDate, this.maturityDate);
+    this.#earlyWithdrawalPenalty = fixedZero;
+    this.#interestPaidAtRedemption = fixedZero;
+
+    // the final day of accrual is the day before maturity, which is when the interest posts
+    this.#deposit = new DepositAccount(
+      this.principal,
+      this.apy,
+      this.maturityDate === undefined
+        ? {}
+        : { postingFrequency: 'MATURITY', maturityDate: addDays(this.maturityDate, -1) },
+    );
+  }
+
+  /**
+   * Returns the certificate's credited balance as an Amount, zero once redeemed
+   * @property {Amount} balance
+   */
+  get balance() {
+    return this.#redeemed ? new Amount(0) : this.#deposit.balance;
+  }
+
+  /**
+   * Returns the total interest credited or paid out by the certificate as an Amount, before any penalty
+   * @property {Amount} interestAccrued
+   */
+  get interestAccrued() {
+    return this.#deposit.interestAccrued.addTo(this.#interestPaidAtRedemption);
+  }
+
+  /**
+   * Returns the penalty charged when the certificate was redeemed early, zero otherwise
+   * @property {Amount} earlyWithdrawalPenalty
+   */
+  get earlyWithdrawalPenalty() {
+    return this.#earlyWithdrawalPenalty;
+  }
+
+  /**
+   * Returns the number of days of accrual left until maturity
+   * @property {number} daysToMaturity
+   */
+  get daysToMaturity() {
+    return this.termDays - this.#elapsedDays;
+  }
+
+  /**
+   * Returns true once the certificate has accrued through its term
+   * @property {boolean} isMatured
+   */
+  get isMatured() {
+    return this.daysToMaturity === 0;
+  }
+
+  /**
+   * Returns true once the certificate has been redeemed
+   * @property {boolean} isRedeemed
+   */
+  get isRedeemed() {
+    return this.#redeemed;
+  }
+
+  /**
+   * Calculate and add to the balance the interest accrued over a number of days, stopping at maturity.
+   * @param {number} days A integer number of days to accrue daily compounded interest
+   * @returns {Account} This account updated by the accrual
+   */
+  accrueForDays(days) {
+    const accruingDays = this.#accruingDays(days);
+    this.#deposit.accrueForDays(accruingDays);
+    this.#elapsedDays += accruingDays;
+
+    return this;
+  }
+
+  /**
+   * Accrues interest over a span of calendar days, stopping at maturity, and credits it on the maturity date.
+   * @param {number} days Number of days to accrue over
+   * @param {Date|string|number} startDate Starting calendar date of the span
+   * @returns {Account} This account updated by the accrual
+   */
+  accrueForDaysWithPosting(days, startDate) {
+    if (this.maturityDate === undefined) {
+      throw new Error('startDate is required to accrue over calendar dates');
+    }
+
+    const accruingDays = this.#accruingDays(days);
+    this.#deposit.accrueForDaysWithPosting(accruingDays, startDate);
+    this.#elapsedDays += accruingDays;
+
+    return this;
+  }
+
+  /**
+   * Returns the penalty for redeeming the certificate now, zero once matured.
+   * @method earlyWithdrawalPenaltyAmount
+   * @returns {Amount} The simple interest on the principal for earlyWithdrawalPenaltyDays
+   */
+  earlyWithdrawalPenaltyAmount() {
+    if (this.isMatured) {
+      return new Amount(0);
+    }
+
+    return this.principal
+      .multiplyBy(this.apy)
+      .multiplyBy(new Amount(this.earlyWithdrawalPenaltyDays))
+      .divideBy(new Amount(financialCalendar.daysInYear), {
+        roundingMode: 'bankers',
+        decimalPlaces: 2,
+      });
+  }
+
+  /**
+   * Closes the certificate and returns its proceeds. Interest accrued but not yet credited is paid out and, before
+   * maturity, the early withdrawal penalty is deducted. The penalty is limited to the amount redeemed.
+   * @method redeem
+   * @returns {Amount} The amount paid out
+   */
+  redeem() {
+    if (this.#redeemed) {
+      throw new Error('Certificate has already been redeemed');
+    }
+
+    const accrued = this.#deposit.balance.addTo(this.#deposit.pendingInterest, {
+      roundingMode: 'bankers',
+      decimalPlaces: 2,
+    });
+    const penalty = this.earlyWithdrawalPenaltyAmount();
+    this.#interestPaidAtRedemption = accrued.subtractFrom(this.#deposit.balance);
+    this.#earlyWithdrawalPenalty = accrued.lessThan(penalty) ? accrued : penalty;
+    this.#redeemed = true;
+
+    return accrued.subtractFrom(this.#earlyWithdrawalPenalty);
+  }
+
+  #accruingDays(days) {
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error('Days must be a non-negative integer');
+    }
+    if (this.#redeemed) {
+      return 0;
+    }
+
+    return Math.min(days, this.daysToMaturity);
+  }
+}
+
+export { Account };
@@ -1,24 +1,160 @@
 /**
- * Provides helpers for estimating credit card rewards and interest accrual.
+ * Provides helpers for estimating credit card rewards and interest accrual, including a statement cycle model with
+ * average daily balance interest and a grace period on new purchases, introductory APR offers, balance transfers and
+ * rewards programs with category multipliers, quarterly caps, sign-up bonuses and annual fees.
  * @module credit-card
  */
 
+import { addDays, daysBetween, lastDayOfMonth, normalizeDate } from '../math/calendar.js';
 import { financialCalendar } from '../math/constants.js';
 import { Amount } from '../math/mini-money.js';
 
+const DEFAULT_PAYMENT_DUE_DAYS = 25;
+// the shortest statement cycle is February's, the due date has to fall before the next statement closes
+const MAX_PAYMENT_DUE_DAYS = 27;
+const DEFAULT_MINIMUM_PAYMENT_RATE = 0.01;
+const DEFAULT_MINIMUM_PAYMENT_FLOOR = 25;
+// minimum payment schedules stop at 100 years, a formula that never repays the balance is rejected
+const MAX_PAYOFF_MONTHS = 1200;
+const DEFAULT_CENTS_PER_POINT = 1;
+
+/**
+ * Validates a rewards program and converts its rates, caps and amounts to Amounts.
+ * @param {object} program The rewards program settings described by the Account constructor
+ * @returns {object} The normalized program
+ */
+function normalizeRewardsProgram({
+  baseRate = 0,
+  categories = [],
+  signUpBonus,
+  annualFee = 0,
+  annualSpend,
+  centsPerPoint = DEFAULT_CENTS_PER_POINT,
+}) {
+  const zeroAmount = new Amount(0);
+  const nonNegative = (value, message) => {
+    const amount = new Amount(value);
+    if (amount.lessThan(zeroAmount)) {
+      throw new Error(message);
+    }
+    return amount;
+  };
+
+  const normalizedCategories = categories.map(({ category, rate, quarterlyCap }) => {
+    if (typeof category !== 'string' || category.length === 0) {
+      throw new Error('Rewards categories must be named');
+    }
+    return {
+      category,
+      rate: nonNegative(rate, 'Rewards rates must be zero or greater'),
+      quarterlyCap:
+        quarterlyCap === undefined
+          ? undefined
+          : nonNegative(quarterlyCap, 'Quarterly caps must be zero or greater'),
+    };
+  });
+  if (new Set(normalizedCategories.map(({ category }) => category)).size !== categories.length) {
+    throw new Error('Rewards categories must be unique');
+  }
+  if (annualSpend !== undefined && !zeroAmount.lessThan(new Amount(annualSpend))) {
+    throw new Error('Annual spend must be greater than zero');
+  }
+
+  return {
+    baseRate: nonNegative(baseRate, 'Rewards rates must be zero or greater'),
+    categories: normalizedCategories,
+    signUpBonus:
+      signUpBonus === undefined
+        ? undefined
+        : {
+            points: nonNegative(signUpBonus.points, 'Sign-up bonus must be zero or greater'),
+            minimumSpend: nonNegative(
+              signUpBonus.minimumSpend ?? 0,
+              'Sign-up bonus minimum spend must be zero or greater',
+            ),
+          },
+    annualFee: nonNegative(annualFee, 'Annual fee must be zero or greater'),
+    annualSpend: annualSpend === undefined ? undefined : new Amount(annualSpend),
+    centsPerPoint: nonNegative(centsPerPoint, 'Cents per point must be zero or greater'),
+  };
+}
+
 /**
- * Represents a simplified credit card account for calculating rewards and periodic interest accrual.
+ * Returns the first statement closing date after a date. Months shorter than the closing day close on their last day.
+ * @param {Date} date The date to search from
+ * @param {number} closingDay The day of the month statements close
+ * @returns {Date} The closing date
+ */
+function nextClosingDate(date, closingDay) {
+  for (let monthOffset = 0; ; monthOffset += 1) {
+    const monthStart = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + monthOffset, 1),
+    );
+    const monthEnd = lastDayOfMonth(monthStart);
+    const closingDate = new Date(
+      Date.UTC(
+        monthEnd.getUTCFullYear(),
+        monthEnd.getUTCMonth(),
+        Math.min(closingDay, monthEnd.getUTCDate()),
+      ),
+    );
+    if (daysBetween(date, closingDate) > 0) {
+      return closingDate;
+    }
+  }
+}
+
+/**
+ * Represents a simplified credit card account for calculating rewards and periodic interest accrual. Statement cycles
+ * close on a day of the month and the statement balance is due paymentDueDays later. New purchases are interest free
+ * while the card is in its grace period, which is lost when a statement balance is not paid in full by its due date
+ * and restored after a statement balance is next paid in full. Cards may charge an introductory APR for their
+ * first introPeriodMonths statement cycles, or idealized months, before the standard apr applies.
  * @class Account
  */
 class Account {
   #apr;
   #rewardsRate;
+  #introDailyRate;
+  #rewardsProgram;
   /**
    * @param {object} [options]
-   * @param {number} [options.apr=0] Nominal annual percentage rate expressed as a decimal
+   * @param {number} [options.apr=0] Nominal annual percentage rate expressed as a decimal, charged after any
+   *  introductory period
    * @param {number} [options.rewardsRate=0] Rewards rate expressed as a decimal (e.g., 0.015 = 1.5%)
+   * @param {number} [options.statementClosingDay=31] Day of the month statements close, months shorter than the
+   *  closing day close on their last day
+   * @param {number} [options.paymentDueDays=25] Days from a statement closing to its payment due date
+   * @param {number} [options.minimumPaymentRate=0.01] Share of the balance due each month, on top of that month's
+   *  interest, as a decimal
+   * @param {number} [options.minimumPaymentFloor=25] The smallest minimum payment, unless the balance is smaller
+   * @param {number} [options.introApr=0] Nominal annual percentage rate charged during the introductory period
+   * @param {number} [options.introPeriodMonths=0] The number of months the introductory APR applies
+   * @param {number} [options.balanceTransferFee=0] Fee charged on balances transferred to the card, as a decimal rate
+   * @param {object} [options.rewardsProgram] A points rewards program, valued by programRewards
+   * @param {number} [options.rewardsProgram.baseRate=0] Points earned per dollar outside the bonus categories
+   * @param {Array<{category: string, rate: number, quarterlyCap: number}>} [options.rewardsProgram.categories=[]]
+   *  Bonus categories earning rate points per dollar, on up to quarterlyCap dollars of spend a quarter when capped.
+   *  Spend beyond the cap earns the base rate
+   * @param {{points: number, minimumSpend: number}} [options.rewardsProgram.signUpBonus] Bonus points earned once
+   *  minimumSpend dollars have been spent on the card
+   * @param {number} [options.rewardsProgram.annualFee=0] The card's annual fee
+   * @param {number} [options.rewardsProgram.annualSpend] Dollars expected to be spent on the card a year, used to
+   *  share the annual fee across purchases. Without it the whole fee is charged against the purchase
+   * @param {number} [options.rewardsProgram.centsPerPoint=1] The value of a point in cents
    */
-  constructor({ apr = 0, rewardsRate = 0 } = {}) {
+  constructor({
+    apr = 0,
+    rewardsRate = 0,
+    statementClosingDay = 31,
+    paymentDueDays = DEFAULT_PAYMENT_DUE_DAYS,
+    minimumPaymentRate = DEFAULT_MINIMUM_PAYMENT_RATE,
+    minimumPaymentFloor = DEFAULT_MINIMUM_PAYMENT_FLOOR,
+    introApr = 0,
+    introPeriodMonths = 0,
+    balanceTransferFee = 0,
+    rewardsProgram,
+  } = {}) {
     this.#apr = new Amount(apr);
     this.#rewardsRate = new Amount(rewardsRate);
     const zeroAmount = new Amount(0);
@@ -30,7 +166,46 @@ class Account {
       throw new Error('Rewards rate must be zero or greater');
     }
 
+    if (
+      !Number.isInteger(statementClosingDay) ||
+      statementClosingDay < 1 ||
+      statementClosingDay > 31
+    ) {
+      throw new Error('Statement closing day must be an integer between 1 and 31');
+    }
+    if (
+      !Number.isInteger(paymentDueDays) ||
+      paymentDueDays < 1 ||
+      paymentDueDays > MAX_PAYMENT_DUE_DAYS
+    ) {
+      throw new Error(`Payment due days must be an integer between 1 and ${MAX_PAYMENT_DUE_DAYS}`);
+    }
+    this.statementClosingDay = statementClosingDay;
+    this.paymentDueDays = paymentDueDays;
+
+    this.minimumPaymentRate = new Amount(minimumPaymentRate);
+    this.minimumPaymentFloor = new Amount(minimumPaymentFloor);
+    if (
+      this.minimumPaymentRate.lessThan(zeroAmount) ||
+      this.minimumPaymentFloor.lessThan(zeroAmount)
+    ) {
+      throw new Error('Minimum payment rate and floor must be zero or greater');
+    }
+
+    if (!Number.isInteger(introPeriodMonths) || introPeriodMonths < 0) {
+      throw new Error('Intro period months must be a non-negative integer');
+    }
+    this.introApr = new Amount(introApr);
+    this.introPeriodMonths = introPeriodMonths;
+    this.balanceTransferFee = new Amount(balanceTransferFee);
+    if (this.introApr.lessThan(zeroAmount) || this.balanceTransferFee.lessThan(zeroAmount)) {
+      throw new Error('Intro APR and balance transfer fee must be zero or greater');
+    }
+
     this._dailyRate = this.#apr.divideBy(new Amount(financialCalendar.daysInYear));
+    this.#introDailyRate = this.introApr.divideBy(new Amount(financialCalendar.daysInYear));
+    this.#rewardsProgram =
+      rewardsProgram === undefined ? undefined : normalizeRewardsProgram(rewardsProgram);
   }
 
   /**
@@ -48,7 +223,105 @@ class Account {
   }
 
   /**
-   * Calculates the compounded interest accrued over a number of days on an unpaid balance.
+   * Values the rewards program's earnings on a purchase, net of its share of the annual fee. Category spend earns the
+   * category rate until the quarter's cap is used up and the base rate after it. The sign-up bonus is included when
+   * the purchase brings the card's spend to the bonus minimum.
+   * @method programRewards
+   * @param {number} purchaseAmount The purchase amount
+   * @param {object} [options]
+   * @param {string} [options.category] The purchase's rewards category, purchases outside the program's categories
+   *  earn the base rate
+   * @param {number} [options.categorySpend=0] Dollars already spent in the category this quarter
+   * @param {number} [options.cardSpend=0] Dollars already spent on the card toward the sign-up bonus
+   * @returns {{points: Amount, pointsValue: Amount, signUpBonusValue: Amount, annualFeeShare: Amount, net: Amount}}
+   *  The points earned on the purchase, excluding the sign-up bonus, and the values in dollars rounded to cents
+   */
+  programRewards(purchaseAmount, { category, categorySpend = 0, cardSpend = 0 } = {}) {
+    if (this.#rewardsProgram === undefined) {
+      throw new Error('A rewards program is required');
+    }
+    const zeroAmount = new Amount(0);
+    const amount = new Amount(purchaseAmount);
+    const priorCategorySpend = new Amount(categorySpend);
+    const priorCardSpend = new Amount(cardSpend);
+    if (
+      amount.lessThan(zeroAmount) ||
+      priorCategorySpend.lessThan(zeroAmount) ||
+      priorCardSpend.lessThan(zeroAmount)
+    ) {
+      throw new Error('Purchase amount and prior spend must be zero or greater');
+    }
+
+    const { baseRate, categories, signUpBonus, annualFee, annualSpend, centsPerPoint } =
+      this.#rewardsProgram;
+    const bonusCategory = categories.find((entry) => entry.category === category);
+    let bonusSpend = zeroAmount;
+    if (bonusCategory !== undefined) {
+      const capRemaining =
+        bonusCategory.quarterlyCap === undefined
+          ? amount
+          : bonusCategory.quarterlyCap.subtractFrom(priorCategorySpend);
+      if (zeroAmount.lessThan(capRemaining)) {
+        bonusSpend = capRemaining.lessThan(amount) ? capRemaining : amount;
+      }
+    }
+    const points = bonusSpend
+      .multiplyBy(bonusCategory?.rate ?? zeroAmount)
+      .addTo(amount.subtractFrom(bonusSpend).multiplyBy(baseRate));
+
+    const bonusPoints =
+      signUpBonus !== undefined &&
+      priorCardSpend.lessThan(signUpBonus.minimumSpend) &&
+      !priorCardSpend.addTo(amount).lessThan(signUpBonus.minimumSpend)
+        ? signUpBonus.points
+        : zeroAmount;
+
+    const toDollars = (value) =>
+      value
+        .multiplyBy(centsPerPoint)
+        .divideBy(new Amount(100), { roundingMode: 'bankers', decimalPlaces: 2 });
+    const pointsValue = toDollars(points);
+    const signUpBonusValue = toDollars(bonusPoints);
+    let annualFeeShare = annualFee;
+    if (annualSpend !== undefined) {
+      const spendShare = annualSpend.lessThan(amount)
+        ? new Amount(1)
+        : amount.divideBy(annualSpend);
+      annualFeeShare = annualFee.multiplyBy(spendShare, {
+        roundingMode: 'bankers',
+        decimalPlaces: 2,
+      });
+    }
+
+    return {
+      points,
+      pointsValue,
+      signUpBonusValue,
+      annualFeeShare,
+      net: pointsValue.addTo(signUpBonusValue).subtractFrom(annualFeeShare),
+    };
+  }
+
+  /**
+   * Calculates the fee for transferring a balance to the card.
+   * @method balanceTransferFeeFor
+   * @param {number|Amount} transferAmount The balance transferred
+   * @returns {Amount} The fee rounded to cents
+   */
+  balanceTransferFeeFor(transferAmount) {
+    const amount = new Amount(transferAmount);
+    if (amount.lessThan(new Amount(0))) {
+      throw new Error('Transfer amount must be zero or greater');
+    }
+
+    return amount.multiplyBy(this.balanceTransferFee, {
+      roundingMode: 'bankers',
+      decimalPlaces: 2,
+    });
+  }
+
+  /**
+   * Calculates the compounded interest accrued over a number of days on an unpaid balance, at the standard apr.
    * @param {number} balance The outstanding balance subject to interest
    * @param {number} [days=financialCalendar.daysInMonth] Number of days to accrue interest for
    * @returns {Amount} The interest accrued over the provided period
@@ -64,18 +337,252 @@ class Account {
       throw new Error('Balance must be zero or greater');
     }
 
-    if (startingBalance.equals(zeroAmount) || days === 0 || this._dailyRate.equals(zeroAmount)) {
-      return new Amount(0);
+    return this.#compoundedInterest(startingBalance, days, this._dailyRate);
+  }
+
+  /**
+   * Returns a schedule for repaying a purchase, or a transferred balance, in equal monthly installments of principal
+   * plus each idealized month's interest, at the introductory APR during the introductory period and the standard apr
+   * after it. A balance transfer fee is added to the balance before the first month.
+   * @method repaymentSchedule
+   * @param {number} balance The amount charged or transferred to the card
+   * @param {number} monthCount The number of months to repay the balance over
+   * @param {object} [options]
+   * @param {boolean} [options.balanceTransfer=false] Charges the balance transfer fee on the balance
+   * @returns {Array<{period: number, payment: Amount, interest: Amount, principal: Amount, balance: Amount}>}
+   *  One entry per month, in due order, where balance is the balance left after the payment
+   */
+  repaymentSchedule(balance, monthCount, { balanceTransfer = false } = {}) {
+    if (!Number.isInteger(monthCount) || monthCount <= 0) {
+      throw new Error('Month count must be a positive integer');
+    }
+    let remaining = new Amount(balance);
+    if (remaining.lessThan(new Amount(0))) {
+      throw new Error('Balance must be zero or greater');
+    }
+    if (balanceTransfer) {
+      remaining = remaining.addTo(this.balanceTransferFeeFor(remaining));
+    }
+
+    const installment = remaining.divideBy(new Amount(monthCount), {
+      roundingMode: 'bankers',
+      decimalPlaces: 2,
+    });
+    const entries = [];
+    for (let period = 1; period <= monthCount; period += 1) {
+      const interest = this.#compoundedInterest(
+        remaining,
+        financialCalendar.daysInMonth,
+        this.#dailyRateForMonth(period),
+      );
+      const principal =
+        period === monthCount || remaining.lessThan(installment) ? remaining : installment;
+      remaining = remaining.subtractFrom(principal);
+      entries.push({
+        period,
+        payment: principal.addTo(interest),
+        interest,
+        principal,
+        balance: remaining,
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Calculates the minimum payment due on a balance, minimumPaymentRate of the balance plus the month's interest,
+   * but no less than minimumPaymentFloor and no more than the balance and interest owed.
+   * @method minimumPayment
+   * @param {number|Amount} balance The balance before the month's interest
+   * @param {number|Amount} [interest=0] The interest charged for the month
+   * @returns {Amount} The minimum payment rounded to cents
+   */
+  minimumPayment(balance, interest = 0) {
+    const startingBalance = new Amount(balance);
+    const interestCharged = new Amount(interest);
+    const amountOwed = startingBalance.addTo(interestCharged);
+    const formulaPayment = startingBalance
+      .multiplyBy(this.minimumPaymentRate)
+      .addTo(interestCharged, { roundingMode: 'bankers', decimalPlaces: 2 });
+    const payment = formulaPayment.lessThan(this.minimumPaymentFloor)
+      ? this.minimumPaymentFloor
+      : formulaPayment;
+
+    return amountOwed.lessThan(payment) ? amountOwed : payment;
+  }
+
+  /**
+   * Projects paying off a balance by making only the minimum payment each month, with no new purchases. Each idealized
+   * month charges interestForDays on the balance for financialCalendar.daysInMonth days before the minimum payment is
+   * made.
+   * @method minimumPaymentSchedule
+   * @param {number} balance The balance carried from the first statement
+   * @returns {{schedule: Array<{month: number, payment: Amount, interest: Amount, principal: Amount,
+   *  balance: Amount}>, payoffMonth: number, totalInterest: Amount, totalPaid: Amount}} One entry per month until the
+   *  balance is repaid, where balance is the balance left after the payment, along with the month the balance is
+   *  repaid, the interest charged and everything paid
+   */
+  minimumPaymentSchedule(balance) {
+    const fixedZero = new Amount(0);
+    let remaining = new Amount(balance);
+    if (remaining.lessThan(fixedZero)) {
+      throw new Error('Balance must be zero or greater');
+    }
+
+    const schedule = [];
+    let totalInterest = fixedZero;
+    let totalPaid = fixedZero;
+    for (let month = 1; fixedZero.lessThan(remaining); month += 1) {
+      if (month > MAX_PAYOFF_MONTHS) {
+        throw new Error(
+          `Minimum payments do not repay the balance within ${MAX_PAYOFF_MONTHS} months`,
+        );
+      }
+      const interest = this.#compoundedInterest(
+        remaining,
+        financialCalendar.daysInMonth,
+        this.#dailyRateForMonth(month),
+      );
+      const payment = this.minimumPayment(remaining, interest);
+      const principal = payment.subtractFrom(interest);
+      remaining = remaining.subtractFrom(principal);
+      totalInterest = totalInterest.addTo(interest);
+      totalPaid = totalPaid.addTo(payment);
+      schedule.push({ month, payment, interest, principal, balance: remaining });
+    }
+
+    return { schedule, payoffMonth: schedule.length, totalInterest, totalPaid };
+  }
+
+  /**
+   * Simulates statement cycles for purchases and payments made from an opening date. The first cycle runs from the
+   * opening date through the first closing date after it, later cycles from the day after the previous closing.
+   * Interest is the average daily balance, including new purchases from the day they post, times the daily periodic
+   * rate for the days in the cycle and is added to the statement balance. No interest is charged for a cycle while
+   * the card keeps its grace period, that is when the previous statement balance is paid in full by its due date and
+   * the statement before it was also paid in full. Transactions after the final closing date are not included.
+   * @method statementCycles
+   * @param {object} activity
+   * @param {Date|string|number} activity.startDate The date the card opens
+   * @param {number} activity.cycleCount The number of statement cycles to simulate
+   * @param {Array<{date: (Date|string|number), amount: number}>} [activity.purchases=[]] Purchases by posting date
+   * @param {Array<{date: (Date|string|number), amount: number}>} [activity.payments=[]] Payments by posting date
+   * @returns {Array<{cycle: number, closingDate: Date, dueDate: Date, days: number, previousBalance: Amount,
+   *  purchases: Amount, payments: Amount, averageDailyBalance: Amount, interest: Amount, statementBalance: Amount,
+   *  gracePeriod: boolean}>} One statement per cycle, in order, where gracePeriod is true when the cycle was
+   *  interest free
+   */
+  statementCycles({ startDate, cycleCount, purchases = [], payments = [] }) {
+    if (!Number.isInteger(cycleCount) || cycleCount <= 0) {
+      throw new Error('Cycle count must be a positive integer');
+    }
+    const openingDate = normalizeDate(startDate);
+    const fixedZero = new Amount(0);
+    const postings = new Map();
+    const addPosting = ({ date, amount }, sign) => {
+      const transactionAmount = new Amount(amount);
+      if (transactionAmount.lessThan(fixedZero)) {
+        throw new Error('Transaction amounts must be zero or greater');
+      }
+      const day = daysBetween(openingDate, date);
+      if (day < 0) {
+        throw new Error('Transactions can not be dated before startDate');
+      }
+      const posting = postings.get(day) ?? { purchases: fixedZero, payments: fixedZero };
+      posting[sign] = posting[sign].addTo(transactionAmount);
+      postings.set(day, posting);
+    };
+    purchases.forEach((purchase) => addPosting(purchase, 'purchases'));
+    payments.forEach((payment) => addPosting(payment, 'payments'));
+
+    const statements = [];
+    let balance = fixedZero;
+    let previousBalance = fixedZero;
+    let previousDueDay;
+    let previousPaidInFull = true;
+    let cycleStart = openingDate;
+    let previousClosingDate = openingDate;
+    for (let cycle = 1; cycle <= cycleCount; cycle += 1) {
+      const closingDate = nextClosingDate(previousClosingDate, this.statementClosingDay);
+      const firstDay = daysBetween(openingDate, cycleStart);
+      const days = daysBetween(cycleStart, closingDate) + 1;
+
+      let cyclePurchases = fixedZero;
+      let cyclePayments = fixedZero;
+      let paidTowardPrevious = fixedZero;
+      let dailyBalanceTotal = fixedZero;
+      for (let day = firstDay; day < firstDay + days; day += 1) {
+        const posting = postings.get(day);
+        if (posting !== undefined) {
+          balance = balance.addTo(posting.purchases).subtractFrom(posting.payments);
+          cyclePurchases = cyclePurchases.addTo(posting.purchases);
+          cyclePayments = cyclePayments.addTo(posting.payments);
+          if (previousDueDay !== undefined && day <= previousDueDay) {
+            paidTowardPrevious = paidTowardPrevious.addTo(posting.payments);
+          }
+        }
+        if (fixedZero.lessThan(balance)) {
+          dailyBalanceTotal = dailyBalanceTotal.addTo(balance);
+        }
+      }
+
+      const paidInFull = !paidTowardPrevious.lessThan(previousBalance);
+      const gracePeriod = paidInFull && previousPaidInFull;
+      const interest = gracePeriod
+        ? fixedZero
+        : dailyBalanceTotal.multiplyBy(this.#dailyRateForMonth(cycle), {
+            roundingMode: 'bankers',
+            decimalPlaces: 2,
+          });
+      balance = balance.addTo(interest);
+
+      const dueDate = addDays(closingDate, this.paymentDueDays);
+      statements.push({
+        cycle,
+        closingDate,
+        dueDate,
+        days,
+        previousBalance,
+        purchases: cyclePurchases,
+        payments: cyclePayments,
+        averageDailyBalance: dailyBalanceTotal.divideBy(new Amount(days), {
+          roundingMode: 'bankers',
+          decimalPlaces: 2,
+        }),
+        interest,
+        statementBalance: balance,
+        gracePeriod,
+      });
+
+      previousBalance = balance;
+      previousDueDay = daysBetween(openingDate, dueDate);
+      previousPaidInFull = paidInFull;
+      previousClosingDate = closingDate;
+      cycleStart = addDays(closingDate, 1);
+    }
+
+    return statements;
+  }
+
+  #dailyRateForMonth(month) {
+    return month <= this.introPeriodMonths ? this.#introDailyRate : this._dailyRate;
+  }
+
+  #compoundedInterest(startingBalance, days, dailyRate) {
+    const zeroAmount = new Amount(0);
+    if (startingBalance.equals(zeroAmount) || days === 0 || dailyRate.equals(zeroAmount)) {
+      return zeroAmount;
     }
 
     let accruedBalance = startingBalance;
     for (let i = 0; i < days; i += 1) {
-      accruedBalance = accruedBalance.addTo(accruedBalance.multiplyBy(this._dailyRate));
+      accruedBalance = accruedBalance.addTo(accruedBalance.multiplyBy(dailyRate));
     }
 
     const accruedInterest = accruedBalance.subtractFrom(startingBalance);
 
-    return accruedInterest.addTo(new Amount(0), { roundingMode: 'bankers', decimalPlaces: 2 });
+    return accruedInterest.addTo(zeroAmount, { roundingMode: 'bankers', decimalPlaces: 2 });
   }
 }
 
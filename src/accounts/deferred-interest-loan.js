@@ -0,0 +1,158 @@
+/**
+ * Deferred interest loan represents "0% if paid in full" promotional financing, commonly offered by retailers and
+ * store cards, and related utility functions.
+ * @module deferred-interest-loan
+ */
+
+import { Amount } from '../math/mini-money.js';
+
+import { Account as LoanAccount, PERIODS_PER_YEAR } from './loan.js';
+
+/**
+ * Deferred interest account represents a promotional financing offer where no interest is charged so long as the
+ * balance is repaid in full by the end of the promotional period. Interest at the post-promo rate still accrues in the
+ * background from the first period and, if any balance remains when the promotion ends, all of that back-interest is
+ * assessed at once. This class makes the same simplifying assumptions as the loan module,
+ * 1) interest is simple and not compounding, accruing on the balance at the start of each period
+ * 2) the borrower pays principal in equal installments over periodCount periods, with the final payment settling
+ * whatever balance and interest remains
+ * @class Account
+ */
+class Account {
+  #periodicRate;
+  #installmentPlan;
+  #cachedSchedule = undefined;
+  /**
+   * Creates an immutable deferred interest account. Like the loan account it does not support payments over time and
+   * instead assumes the 'user' pays each installment on its due date.
+   * @param {number} periodCount The number of periods the borrower takes to repay the balance
+   * @param {string} periodType The type of period, one of 'WEEK', 'BIWEEK', 'SEMIMONTH' or 'MONTH'
+   * @param {number} rate The simple, non-compound, nominal annual rate that is deferred during the promotion and
+   *  charged after it
+   * @param {number} principal The amount of money being financed
+   * @param {number} promoPeriodCount The number of periods in the promotional, deferred interest, window
+   */
+  constructor(periodCount, periodType, rate, principal, promoPeriodCount) {
+    if (!Number.isInteger(promoPeriodCount) || promoPeriodCount <= 0) {
+      throw new Error('Promo period count must be a positive integer');
+    }
+
+    // The installment plan is an interest free loan which validates the shared inputs and rounds the installment
+    this.#installmentPlan = new LoanAccount(periodCount, periodType, 0, principal);
+
+    if (typeof rate !== 'number' || Number.isNaN(rate) || !Number.isFinite(rate) || rate < 0) {
+      throw new Error('Rate must be a non-negative finite number');
+    }
+    this.nominalAnnualRate = new Amount(rate);
+
+    this.periodCount = this.#installmentPlan.periodCount;
+    this.periodType = this.#installmentPlan.periodType;
+    this.principal = this.#installmentPlan.principal;
+    this.promoPeriodCount = promoPeriodCount;
+    this.#periodicRate = this.nominalAnnualRate.divideBy(
+      new Amount(PERIODS_PER_YEAR[this.periodType]),
+    );
+  }
+
+  /**
+   * Returns the planned installment paid each period, ie the principal split evenly over the repayment periods.
+   * @method payment
+   * @returns {Amount} payment amount per period
+   */
+  payment() {
+    return this.#installmentPlan.payment();
+  }
+
+  /**
+   * Returns the back-interest accrued during the promotional window. This is the amount at risk, it is only charged
+   * when a balance remains at the end of the promotion.
+   * @method deferredInterest
+   * @returns {Amount} The deferred interest accrued through the promo end
+   */
+  deferredInterest() {
+    return this.#getSchedule().deferredInterest;
+  }
+
+  /**
+   * Returns true when the installment plan leaves a balance at promo end and the deferred interest is assessed.
+   * @method isDeferredInterestAssessed
+   * @returns {boolean}
+   */
+  isDeferredInterestAssessed() {
+    return this.#getSchedule().assessed;
+  }
+
+  /**
+   * Returns the total interest charged over the life of the account, including any retroactively assessed interest.
+   * @method totalInterest
+   * @returns {Amount} Returns an amount representing the interest charge
+   */
+  totalInterest() {
+    return this.#getSchedule().entries.reduce(
+      (total, { interest }) => total.addTo(interest),
+      new Amount(0),
+    );
+  }
+
+  /**
+   * Returns the repayment schedule. Installments during the promotion are all principal. If the promotion ends with a
+   * balance, the deferred interest is billed in the first period after promo end, alongside that period's regular
+   * interest, and the final payment settles the remaining balance.
+   * @method amortizationSchedule
+   * @returns {Array<{period: number, payment: Amount, interest: Amount, principal: Amount, balance: Amount}>}
+   *  One entry per period, in due order, where period is the one-based due index and balance is the remaining
+   *  principal after the payment is applied. Principal is negative when the payment does not cover the interest billed
+   */
+  amortizationSchedule() {
+    return this.#getSchedule().entries.map((entry) => ({ ...entry }));
+  }
+
+  #getSchedule() {
+    if (this.#cachedSchedule === undefined) {
+      this.#cachedSchedule = this.#calculateSchedule();
+    }
+
+    return this.#cachedSchedule;
+  }
+
+  #calculateSchedule() {
+    const fixedZero = new Amount(0);
+    const installment = this.payment();
+    const entries = [];
+
+    let balance = this.principal;
+    let deferredInterest = fixedZero;
+    let assessed = false;
+    for (let period = 1; period <= this.periodCount; period += 1) {
+      const periodInterest = balance.multiplyBy(this.#periodicRate, {
+        roundingMode: 'bankers',
+        decimalPlaces: 2,
+      });
+
+      let interest = fixedZero;
+      if (period <= this.promoPeriodCount) {
+        deferredInterest = deferredInterest.addTo(periodInterest);
+      } else {
+        interest = periodInterest;
+        if (period === this.promoPeriodCount + 1) {
+          interest = interest.addTo(deferredInterest);
+          assessed = true;
+        }
+      }
+
+      const isFinalPeriod = period === this.periodCount;
+      let payment = installment;
+      if (isFinalPeriod || balance.addTo(interest).lessThan(payment)) {
+        payment = balance.addTo(interest);
+      }
+      const principalPaid = payment.subtractFrom(interest);
+      balance = balance.subtractFrom(principalPaid);
+
+      entries.push({ period, payment, interest, principal: principalPaid, balance });
+    }
+
+    return { entries, deferredInterest, assessed };
+  }
+}
+
+export { Account };
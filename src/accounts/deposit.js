@@ -1,54 +1,304 @@
 /**
  * Provides classes and functions for calculating yield on simple deposit accounts. Generally, the module assumes
  * consumer deposit accounts that accrue daily compounding interest on the full daily balance. It furthermore,
- * assumes that there are no account maintenance fees or transfer fees and that interest rates are constant.
+ * assumes that there are no transfer fees. The rate may be tiered by balance and may follow a timeline of apy
+ * changes, and accounts may require a minimum balance to earn the apy or to avoid a monthly maintenance fee.
  *
  * Finally, this deposit account **currently** deviates from real-world deposit accounts by immediately adding
  * accrued interest to the account's available value. Real world accounts often only 'deposit' the funds
  * making them available for withdrawal at the end of the statement period. The accrued money is the account
  * holder's funds, but may not be immediately accessible.
+ *
+ * Every change to the account is recorded in a ledger. Entries are dated once the account knows its calendar, either
+ * from the startDate option or from the start date of a calendar accrual, and are otherwise only numbered by day.
+ * Entries recorded before the calendar was known are dated by counting days back from it.
  * @module deposit
  */
 
-import { addDays, isSameDay, lastDayOfMonth, normalizeDate } from '../math/calendar.js';
+import {
+  addDays,
+  addPaymentPeriods,
+  daysBetween,
+  isSameDay,
+  lastDayOfMonth,
+  normalizeDate,
+} from '../math/calendar.js';
 import { financialCalendar } from '../math/constants.js';
 import { Amount } from '../math/mini-money.js';
 
+const TIER_METHODS = ['BLENDED', 'WHOLE_BALANCE'];
+const POSTING_FREQUENCIES = ['DAILY', 'MONTHLY', 'QUARTERLY', 'ANNUALLY', 'MATURITY'];
+const OVERDRAFT_POLICIES = ['ALLOW', 'REJECT', 'FEE', 'INTEREST', 'TRANSFER'];
+const TRANSFER_FREQUENCIES = ['WEEK', 'BIWEEK', 'SEMIMONTH', 'MONTH'];
+const MONTHS_PER_QUARTER = 3;
+const DECEMBER = 11;
+
+/**
+ * Converts an annual percentage yield to the equivalent daily compounding rate.
+ * @param {Amount} apy The annual percentage yield
+ * @returns {Amount} The daily rate
+ */
+function dailyRateFor(apy) {
+  const one = new Amount(1);
+  return one.addTo(apy).nthRoot(financialCalendar.daysInYear).subtractFrom(one);
+}
+
+/**
+ * Returns how much of a withdrawal a cash balance can not cover, zero when it covers it. A negative balance covers
+ * nothing.
+ * @param {Amount} balance The cash balance
+ * @param {number|Amount} withdrawal The amount to withdraw
+ * @returns {Amount} The uncovered amount
+ */
+function uncoveredAmount(balance, withdrawal) {
+  const fixedZero = new Amount(0);
+  const available = balance.lessThan(fixedZero) ? fixedZero : balance;
+  const shortfall = new Amount(withdrawal).subtractFrom(available);
+
+  return shortfall.lessThan(fixedZero) ? fixedZero : shortfall;
+}
+
+/**
+ * Returns the idealized days spanned by a number of transfer periods, months split into halves with the longer half
+ * second.
+ * @param {string} frequency One of 'WEEK', 'BIWEEK', 'SEMIMONTH' or 'MONTH'
+ * @param {number} periods The number of periods
+ * @param {number} daysInMonth The days in an idealized month
+ * @returns {number} The number of days
+ */
+function idealizedPeriodOffset(frequency, periods, daysInMonth) {
+  const { daysInWeek } = financialCalendar;
+  switch (frequency) {
+    case 'WEEK':
+      return periods * daysInWeek;
+    case 'BIWEEK':
+      return periods * daysInWeek * 2;
+    case 'SEMIMONTH':
+      return Math.floor(periods / 2) * daysInMonth + (periods % 2) * Math.floor(daysInMonth / 2);
+    default:
+      return periods * daysInMonth;
+  }
+}
+
 /**
  * Provides functions for interacting with a deposit account on a periodic basis.
  * @class Account
  */
 class Account {
   #apy;
+  #tiers;
+  #tierMethod;
   #balance;
-  #dailyRate;
+  #bands;
+  #rateChanges;
+  #transfers;
+  #elapsedDays;
+  #calendarAnchor;
+  #ledger = [];
   #pendingInterest;
   #interestAccrued;
+  #transfersIn;
+  #feesCharged;
+  #belowMinimumDailyRate;
+  #lowestMonthlyBalance;
   /**
    * "Opens" an account with a opening balance and the percentage yield to be used for subsequent calculations.
    *  Values may be specified as numbers of as Amounts. Values provided as JS numbers will be converted to Amounts
    *  using the global Amount.precision.
    * @param {number} openingBalance The opening account balance, defaults to zero
-   * @param {number} apy The annual percentage yield for the account, defaults to zero
+   * @param {number} apy The annual percentage yield for the account, defaults to zero. For tiered accounts this is the
+   *  yield paid below the first tier's minimum balance
+   * @param {object} [options]
+   * @param {Array<{minBalance: number, apy: number}>} [options.tiers=[]] Balance tiers in ascending minBalance order,
+   *  each paying its apy from its minimum balance
+   * @param {string} [options.tierMethod='BLENDED'] 'BLENDED' pays each tier's apy on the slice of balance within the
+   *  tier, 'WHOLE_BALANCE' pays the apy of the highest tier reached on the entire balance
+   * @param {Date|string|number} [options.startDate] The date the account opens, required for rate changes by
+   *  effective date
+   * @param {Array<{apy: number, day: number, effectiveDate: (Date|string|number)}>} [options.rateChanges=[]] Changes
+   *  to the apy, taking effect from a zero-based day of accrual since opening or from an effective date. A change
+   *  replaces the base apy, tier apys are unaffected
+   * @param {string} [options.postingFrequency='MONTHLY'] When accrued interest is credited by accrueForDaysWithPosting,
+   *  one of 'DAILY', 'MONTHLY', 'QUARTERLY', 'ANNUALLY' or 'MATURITY'. Quarterly and annual posting follow calendar
+   *  quarters and years
+   * @param {number} [options.postingDay] Day of the month interest posts for monthly, quarterly and annual posting,
+   *  months shorter than the posting day post on their last day. Defaults to month end
+   * @param {Date|string|number} [options.maturityDate] The date interest posts for 'MATURITY' posting
+   * @param {string} [options.overdraftPolicy='ALLOW'] How withdrawals larger than the balance are handled. 'ALLOW' lets
+   *  the balance go negative, 'REJECT' throws, 'FEE' charges overdraftFee for each overdrawing withdrawal, 'INTEREST'
+   *  charges overdraftApr on negative balances and 'TRANSFER' pulls the shortfall, plus overdraftFee, from
+   *  overdraftSource
+   * @param {number} [options.overdraftFee=0] Fee per overdrawing withdrawal or transfer
+   * @param {number} [options.overdraftApr=0] Nominal annual rate charged daily on negative balances
+   * @param {{withdraw: Function}} [options.overdraftSource] The backing account, such as another deposit account,
+   *  used by 'TRANSFER'. A source that is short follows its own rules, a deposit account source that rejects
+   *  overdrafts throws and leaves both accounts unchanged
+   * @param {Array<{amount: number, frequency: string, day: number, startDate: (Date|string|number)}>}
+   *  [options.recurringTransfers=[]] Deposits repeated every 'WEEK', 'BIWEEK', 'SEMIMONTH' or 'MONTH', the first
+   *  made on a zero-based day of accrual since opening or on a start date. Transfers are credited before that day's
+   *  interest accrues
+   * @param {number} [options.minimumBalance=0] The daily balance required to earn the apy and avoid the maintenance
+   *  fee
+   * @param {number} [options.belowMinimumApy] The apy paid on days the balance is below minimumBalance, defaults to
+   *  paying the apy regardless of the balance
+   * @param {number} [options.maintenanceFee=0] Fee charged at month end when the balance fell below minimumBalance on
+   *  any day of the month. Calendar accruals use calendar months, idealized accruals months of daysInMonth days
+   * @param {number} [options.daysInMonth=31] The days in an idealized month, used to space idealized monthly and
+   *  semi-monthly transfers, maintenance fees and statements
    */
-  constructor(openingBalance = 0, apy = 0) {
+  constructor(
+    openingBalance = 0,
+    apy = 0,
+    {
+      tiers = [],
+      tierMethod = 'BLENDED',
+      startDate,
+      rateChanges = [],
+      postingFrequency = 'MONTHLY',
+      postingDay,
+      maturityDate,
+      overdraftPolicy = 'ALLOW',
+      overdraftFee = 0,
+      overdraftApr = 0,
+      overdraftSource,
+      recurringTransfers = [],
+      minimumBalance = 0,
+      belowMinimumApy,
+      maintenanceFee = 0,
+      daysInMonth = financialCalendar.daysInMonth,
+    } = {},
+  ) {
+    if (!Number.isInteger(daysInMonth) || daysInMonth <= 0) {
+      throw new Error('Days in month must be a positive integer');
+    }
+    this.daysInMonth = daysInMonth;
     this.#balance = new Amount(openingBalance);
     this.#apy = new Amount(apy);
     this.#pendingInterest = new Amount(0);
     this.#interestAccrued = new Amount(0);
+    this.#transfersIn = new Amount(0);
+    this.#feesCharged = new Amount(0);
+    this.#elapsedDays = 0;
+    this.startDate = startDate === undefined ? undefined : normalizeDate(startDate);
+    this.#calendarAnchor =
+      this.startDate === undefined ? undefined : { day: 0, date: this.startDate };
+    this.#rateChanges = this.#normalizeRateChanges(rateChanges);
+    this.#transfers = this.#normalizeTransfers(recurringTransfers);
+
+    const normalizedFrequency =
+      typeof postingFrequency === 'string' ? postingFrequency.toUpperCase() : '';
+    if (!POSTING_FREQUENCIES.includes(normalizedFrequency)) {
+      throw new Error('Unsupported posting frequency');
+    }
+    if (
+      postingDay !== undefined &&
+      (!Number.isInteger(postingDay) || postingDay < 1 || postingDay > 31)
+    ) {
+      throw new Error('Posting day must be an integer between 1 and 31');
+    }
+    if (normalizedFrequency === 'MATURITY' && maturityDate === undefined) {
+      throw new Error('maturityDate is required for posting at maturity');
+    }
+    this.postingFrequency = normalizedFrequency;
+    this.postingDay = postingDay;
+    this.maturityDate = maturityDate === undefined ? undefined : normalizeDate(maturityDate);
+
+    const normalizedOverdraftPolicy =
+      typeof overdraftPolicy === 'string' ? overdraftPolicy.toUpperCase() : '';
+    if (!OVERDRAFT_POLICIES.includes(normalizedOverdraftPolicy)) {
+      throw new Error('Unsupported overdraft policy');
+    }
+    if (
+      normalizedOverdraftPolicy === 'TRANSFER' &&
+      typeof overdraftSource?.withdraw !== 'function'
+    ) {
+      throw new Error('overdraftSource is required for overdraft transfers');
+    }
+    this.overdraftPolicy = normalizedOverdraftPolicy;
+    this.overdraftFee = new Amount(overdraftFee);
+    this.overdraftApr = new Amount(overdraftApr);
+    if (this.overdraftFee.lessThan(new Amount(0)) || this.overdraftApr.lessThan(new Amount(0))) {
+      throw new Error('Overdraft fee and APR must be zero or greater');
+    }
+    this.overdraftSource = overdraftSource;
+
+    this.minimumBalance = new Amount(minimumBalance);
+    this.belowMinimumApy = belowMinimumApy === undefined ? undefined : new Amount(belowMinimumApy);
+    this.maintenanceFee = new Amount(maintenanceFee);
+    if (
+      this.minimumBalance.lessThan(new Amount(0)) ||
+      this.maintenanceFee.lessThan(new Amount(0))
+    ) {
+      throw new Error('Minimum balance and maintenance fee must be zero or greater');
+    }
+    this.#belowMinimumDailyRate =
+      this.belowMinimumApy === undefined ? undefined : dailyRateFor(this.belowMinimumApy);
+
+    const normalizedTierMethod = typeof tierMethod === 'string' ? tierMethod.toUpperCase() : '';
+    if (!TIER_METHODS.includes(normalizedTierMethod)) {
+      throw new Error('Unsupported tier method');
+    }
+    this.#tierMethod = normalizedTierMethod;
+
+    const fixedZero = new Amount(0);
+    let previousMinimum = fixedZero;
+    this.#tiers = tiers.map(({ minBalance, apy: tierApy }) => {
+      const minimum = new Amount(minBalance);
+      if (!previousMinimum.lessThan(minimum)) {
+        throw new Error('Tier minimum balances must be positive and ascending');
+      }
+      previousMinimum = minimum;
+      return Object.freeze({ minBalance: minimum, apy: new Amount(tierApy) });
+    });
+
+    // bands pair each tier's lower bound with its daily rate, the first band holds the base apy
+    this.#bands = [{ minBalance: fixedZero, apy: this.#apy }, ...this.#tiers].map(
+      ({ minBalance, apy: bandApy }) => ({ minBalance, dailyRate: dailyRateFor(bandApy) }),
+    );
 
-    const one = new Amount(1);
-    this.#dailyRate = one.addTo(this.#apy).nthRoot(financialCalendar.daysInYear).subtractFrom(one);
+    this.#record('OPEN', this.#balance);
   }
 
   /**
-   * Returns the account's configured apy as an Amount
+   * Returns the account's apy currently in effect as an Amount
    * @property {Amount} apy
    */
   get apy() {
     return this.#apy;
   }
 
+  /**
+   * Returns the account's balance tiers, an empty array when every balance earns the apy
+   * @property {Array<{minBalance: Amount, apy: Amount}>} tiers
+   */
+  get tiers() {
+    return [...this.#tiers];
+  }
+
+  /**
+   * Returns how tiered rates apply to the balance, either 'BLENDED' or 'WHOLE_BALANCE'
+   * @property {string} tierMethod
+   */
+  get tierMethod() {
+    return this.#tierMethod;
+  }
+
+  /**
+   * Returns the account's scheduled apy changes in day order
+   * @property {Array<{day: number, apy: Amount}>} rateChanges
+   */
+  get rateChanges() {
+    return [...this.#rateChanges.entries()].map(([day, changedApy]) => ({ day, apy: changedApy }));
+  }
+
+  /**
+   * Returns the account's recurring transfers, each with the zero-based day of its first deposit
+   * @property {Array<{amount: Amount, frequency: string, day: number}>} recurringTransfers
+   */
+  get recurringTransfers() {
+    return this.#transfers.map(({ amount, frequency, day }) => ({ amount, frequency, day }));
+  }
+
   /**
    * Returns the deposit account's current balance as an Amount
    * @property {Amount} balance
@@ -65,19 +315,81 @@ class Account {
     return this.#interestAccrued;
   }
 
+  /**
+   * Returns the total credited by recurring transfers and overdraft transfers as an Amount
+   * @property {Amount} transfersIn
+   */
+  get transfersIn() {
+    return this.#transfersIn;
+  }
+
+  /**
+   * Returns the total overdraft and maintenance fees charged as an Amount
+   * @property {Amount} feesCharged
+   */
+  get feesCharged() {
+    return this.#feesCharged;
+  }
+
+  /**
+   * Returns the interest accrued but not yet credited to the balance, including any fractional cents
+   * @property {Amount} pendingInterest
+   */
+  get pendingInterest() {
+    return this.#pendingInterest;
+  }
+
+  /**
+   * Returns the account's ledger entries in the order they happened. Each entry has a type, one of 'OPEN',
+   * 'DEPOSIT', 'WITHDRAWAL', 'ADJUSTMENT', 'ACCRUAL', 'INTEREST', 'FEE' or 'TRANSFER', the zero-based day since
+   * opening it happened on, its date when known, the amount and the balance after the entry. Accrual entries also report the days
+   * accrued, their amount is the unrounded interest accrued and they do not change the balance until interest is
+   * posted.
+   * @property {Array<{type: string, day: number, date: (Date|undefined), amount: Amount, balance: Amount,
+   *  days: number}>} ledger
+   */
+  get ledger() {
+    return this.#ledger.map((entry) =>
+      entry.date === undefined && this.#calendarAnchor !== undefined
+        ? Object.freeze({ ...entry, date: this.#dateOf(entry.day) })
+        : entry,
+    );
+  }
+
   /**
    * Sets the deposit account's current balance. Values provided as a number will be converted to an
-   * Amount using the global Amount.precision.
+   * Amount using the global Amount.precision. The change is recorded in the ledger as an adjustment.
    * @property balance
    * @param {number|Amount} newBalance The new balance
    */
   set balance(newBalance) {
+    const previousBalance = this.#balance;
     this.#balance = newBalance instanceof Amount ? newBalance : new Amount(newBalance);
+    this.#record('ADJUSTMENT', this.#balance.subtractFrom(previousBalance));
+  }
+
+  /**
+   * Deposit a specified amount of funds to the account. Deposit amounts specified as a JS number will be converted to
+   * Amounts using the global Amount.precision.
+   * @param {number} amount The amount to deposit to the account
+   * @returns {Account} This account updated by the deposit
+   */
+  deposit(amount) {
+    const depositAmount = new Amount(amount);
+    if (depositAmount.lessThan(new Amount(0))) {
+      throw new Error('Deposit must be zero or greater');
+    }
+
+    this.#balance = this.#balance.addTo(depositAmount);
+    this.#record('DEPOSIT', depositAmount);
+
+    return this;
   }
 
   /**
    * Withdraw a specified amount of funds from the account. Withdrawal amounts specified as a JS number
-   * will be converted to Amounts using the global Amount.precision.
+   * will be converted to Amounts using the global Amount.precision. Withdrawals larger than the available balance are
+   * handled by the account's overdraft policy.
    * @param {number} withdrawal The amount to withdraw from the account
    * @returns {Account} This account updated by the withdrawal
    */
@@ -89,11 +401,93 @@ class Account {
       throw new Error('Withdrawal must be zero or greater');
     }
 
+    const shortfall = this.shortfallFor(withdrawalAmount);
+    const overdrawn = zeroAmount.lessThan(shortfall);
+    if (overdrawn && this.overdraftPolicy === 'REJECT') {
+      throw new Error('Insufficient funds for withdrawal');
+    }
+    if (overdrawn && this.overdraftPolicy === 'TRANSFER') {
+      const transfer = shortfall.addTo(this.overdraftFee);
+      this.overdraftSource.withdraw(transfer);
+      this.#balance = this.#balance.addTo(transfer);
+      this.#transfersIn = this.#transfersIn.addTo(transfer);
+      this.#record('TRANSFER', transfer);
+    }
+
     this.#balance = this.#balance.subtractFrom(withdrawalAmount);
+    this.#record('WITHDRAWAL', withdrawalAmount);
+    if (
+      overdrawn &&
+      (this.overdraftPolicy === 'FEE' || this.overdraftPolicy === 'TRANSFER') &&
+      zeroAmount.lessThan(this.overdraftFee)
+    ) {
+      this.#chargeFee(this.overdraftFee);
+    }
 
     return this;
   }
 
+  /**
+   * Returns how much of a withdrawal the balance can not cover, zero when the balance covers it.
+   * @method shortfallFor
+   * @param {number|Amount} withdrawal The amount to withdraw
+   * @returns {Amount} The uncovered amount
+   */
+  shortfallFor(withdrawal) {
+    return uncoveredAmount(this.#balance, withdrawal);
+  }
+
+  /**
+   * Summarizes the ledger by month. Dated entries are grouped by calendar month, keyed 'YYYY-MM', and undated
+   * entries by idealized month of daysInMonth days, keyed by the one-based month number. Credits include the opening
+   * balance, deposits, overdraft transfers and increasing adjustments, debits include withdrawals, fees and decreasing
+   * adjustments.
+   * @method monthlyStatements
+   * @returns {Array<{month: (string|number), openingBalance: Amount, credits: Amount, debits: Amount,
+   *  interest: Amount, closingBalance: Amount}>} One statement per month with activity, in order
+   */
+  monthlyStatements() {
+    const fixedZero = new Amount(0);
+    const statements = [];
+    let closingBalance = fixedZero;
+    for (const { type, day, date, amount, balance } of this.ledger) {
+      const month =
+        date === undefined
+          ? Math.floor(day / this.daysInMonth) + 1
+          : date.toISOString().slice(0, 7);
+      if (statements.at(-1)?.month !== month) {
+        statements.push({
+          month,
+          openingBalance: closingBalance,
+          credits: fixedZero,
+          debits: fixedZero,
+          interest: fixedZero,
+          closingBalance,
+        });
+      }
+
+      const statement = statements.at(-1);
+      if (type === 'INTEREST') {
+        statement.interest = statement.interest.addTo(amount);
+      } else if (type === 'WITHDRAWAL' || type === 'FEE') {
+        statement.debits = statement.debits.addTo(amount);
+      } else if (
+        type === 'OPEN' ||
+        type === 'DEPOSIT' ||
+        type === 'TRANSFER' ||
+        (type === 'ADJUSTMENT' && !amount.lessThan(fixedZero))
+      ) {
+        statement.credits = statement.credits.addTo(amount);
+      } else if (type === 'ADJUSTMENT') {
+        statement.debits = statement.debits.subtractFrom(amount);
+      }
+      statement.closingBalance = balance;
+      closingBalance = balance;
+    }
+
+    return statements;
+  }
+
   /**
    * Calculate and add to principal the accrued interest from a given number of days.
    * @param {integerValue} days A integer number of days to accrue daily compounded interest
@@ -113,9 +507,13 @@ class Account {
     }
     let accruingBalance = new Amount(0);
     for (let i = 0; i < days; i++) {
+      this.#applyRateChange();
+      this.#applyTransfers();
       accruingBalance = accruingBalance.addTo(
-        this.#balance.addTo(accruingBalance).multiplyBy(this.#dailyRate),
+        this.#dailyInterest(this.#balance.addTo(accruingBalance)),
       );
+      this.#assessMaintenanceFee((this.#elapsedDays + 1) % this.daysInMonth === 0);
+      this.#elapsedDays += 1;
     }
 
     const updatedBalance = this.#balance.addTo(accruingBalance, {
@@ -123,8 +521,11 @@ class Account {
       decimalPlaces: 2,
     });
     const postedInterest = updatedBalance.subtractFrom(this.#balance);
+    const lastDay = this.#elapsedDays - 1;
+    this.#record('ACCRUAL', accruingBalance, { day: lastDay, days });
     this.#balance = updatedBalance;
     this.#interestAccrued = this.#interestAccrued.addTo(postedInterest);
+    this.#record('INTEREST', postedInterest, { day: lastDay });
 
     return this;
   }
@@ -137,6 +538,23 @@ class Account {
    * @returns {Account} This account updated by the accrual
    */
   accrueForDaysWithMonthlyPosting(days, startDate) {
+    return this.#accrueWithPosting(days, startDate, (date) =>
+      isSameDay(date, lastDayOfMonth(date)),
+    );
+  }
+
+  /**
+   * Accrues interest over a span of days, crediting pending interest to the balance on the dates set by the account's
+   * posting frequency. Fractional cents are held back and roll over to the next posting.
+   * @param {number} days Number of days to accrue over
+   * @param {Date|string|number} startDate Starting calendar date used to find posting dates
+   * @returns {Account} This account updated by the accrual
+   */
+  accrueForDaysWithPosting(days, startDate) {
+    return this.#accrueWithPosting(days, startDate, (date) => this.#isPostingDate(date));
+  }
+
+  #accrueWithPosting(days, startDate, isPostingDate) {
     if (!Number.isInteger(days)) {
       throw new Error('Days must be an integer number');
     }
@@ -147,27 +565,231 @@ class Account {
       return this;
     }
     let currentDate = normalizeDate(startDate);
+    this.#calendarAnchor = { day: this.#elapsedDays, date: currentDate };
 
+    let batchInterest = new Amount(0);
+    let batchDays = 0;
     for (let i = 0; i < days; i += 1) {
-      //Accrual implemented as daily compounding interest with monthly posting and fractional cent rollover
-      const dailyInterest = this.#balance.addTo(this.#pendingInterest).multiplyBy(this.#dailyRate);
+      //Accrual implemented as daily compounding interest with periodic posting and fractional cent rollover
+      this.#applyRateChange();
+      this.#applyTransfers(currentDate);
+      const dailyInterest = this.#dailyInterest(this.#balance.addTo(this.#pendingInterest));
       this.#pendingInterest = this.#pendingInterest.addTo(dailyInterest);
+      batchInterest = batchInterest.addTo(dailyInterest);
+      batchDays += 1;
 
-      if (isSameDay(currentDate, lastDayOfMonth(currentDate))) {
+      if (isPostingDate(currentDate)) {
         const postedInterest = this.#pendingInterest.addTo(new Amount(0), {
           roundingMode: 'bankers',
           decimalPlaces: 2,
         });
+        this.#record('ACCRUAL', batchInterest, { days: batchDays });
         this.#balance = this.#balance.addTo(postedInterest);
         this.#interestAccrued = this.#interestAccrued.addTo(postedInterest);
         this.#pendingInterest = this.#pendingInterest.subtractFrom(postedInterest);
+        this.#record('INTEREST', postedInterest);
+        batchInterest = new Amount(0);
+        batchDays = 0;
       }
+      this.#assessMaintenanceFee(isSameDay(currentDate, lastDayOfMonth(currentDate)));
 
       currentDate = addDays(currentDate, 1);
+      this.#elapsedDays += 1;
+    }
+    if (batchDays > 0) {
+      this.#record('ACCRUAL', batchInterest, { day: this.#elapsedDays - 1, days: batchDays });
     }
 
     return this;
   }
+
+  /**
+   * Tracks the month's lowest daily balance and, at month end, charges the maintenance fee when it fell below the
+   * minimum balance.
+   */
+  #assessMaintenanceFee(isMonthEnd) {
+    if (
+      this.#lowestMonthlyBalance === undefined ||
+      this.#balance.lessThan(this.#lowestMonthlyBalance)
+    ) {
+      this.#lowestMonthlyBalance = this.#balance;
+    }
+    if (!isMonthEnd) {
+      return;
+    }
+
+    if (
+      this.#lowestMonthlyBalance.lessThan(this.minimumBalance) &&
+      new Amount(0).lessThan(this.maintenanceFee)
+    ) {
+      this.#chargeFee(this.maintenanceFee);
+    }
+    this.#lowestMonthlyBalance = undefined;
+  }
+
+  #chargeFee(fee) {
+    this.#balance = this.#balance.subtractFrom(fee);
+    this.#feesCharged = this.#feesCharged.addTo(fee);
+    this.#record('FEE', fee);
+  }
+
+  #dateOf(day) {
+    return this.#calendarAnchor === undefined
+      ? undefined
+      : addDays(this.#calendarAnchor.date, day - this.#calendarAnchor.day);
+  }
+
+  #record(type, amount, { day = this.#elapsedDays, days } = {}) {
+    const entry = { type, day, date: this.#dateOf(day), amount, balance: this.#balance };
+    if (days !== undefined) {
+      entry.days = days;
+    }
+    this.#ledger.push(Object.freeze(entry));
+  }
+
+  #isPostingDate(date) {
+    switch (this.postingFrequency) {
+      case 'DAILY':
+        return true;
+      case 'MATURITY':
+        return isSameDay(date, this.maturityDate);
+      case 'QUARTERLY':
+        return (
+          (date.getUTCMonth() + 1) % MONTHS_PER_QUARTER === 0 && this.#isPostingDayOfMonth(date)
+        );
+      case 'ANNUALLY':
+        return date.getUTCMonth() === DECEMBER && this.#isPostingDayOfMonth(date);
+      default:
+        return this.#isPostingDayOfMonth(date);
+    }
+  }
+
+  #isPostingDayOfMonth(date) {
+    const monthEnd = lastDayOfMonth(date).getUTCDate();
+    return date.getUTCDate() === Math.min(this.postingDay ?? monthEnd, monthEnd);
+  }
+
+  #normalizeRateChanges(rateChanges) {
+    if (!Array.isArray(rateChanges)) {
+      throw new Error('Rate changes must be an array');
+    }
+
+    const byDay = new Map();
+    for (const { apy, day, effectiveDate } of rateChanges) {
+      let effectiveDay = day;
+      if (effectiveDate !== undefined) {
+        if (this.startDate === undefined) {
+          throw new Error('startDate is required for rate changes by effective date');
+        }
+        effectiveDay = daysBetween(this.startDate, normalizeDate(effectiveDate));
+      }
+      if (!Number.isInteger(effectiveDay) || effectiveDay < 0) {
+        throw new Error('Rate change day must be zero or greater');
+      }
+      byDay.set(effectiveDay, new Amount(apy));
+    }
+
+    return new Map([...byDay.entries()].sort(([left], [right]) => left - right));
+  }
+
+  #normalizeTransfers(recurringTransfers) {
+    if (!Array.isArray(recurringTransfers)) {
+      throw new Error('Recurring transfers must be an array');
+    }
+
+    return recurringTransfers.map(({ amount, frequency, day, startDate }) => {
+      const normalizedFrequency = typeof frequency === 'string' ? frequency.toUpperCase() : '';
+      if (!TRANSFER_FREQUENCIES.includes(normalizedFrequency)) {
+        throw new Error('Unsupported transfer frequency');
+      }
+      const transferAmount = new Amount(amount);
+      if (!new Amount(0).lessThan(transferAmount)) {
+        throw new Error('Transfer amount must be greater than zero');
+      }
+      let firstDay = day;
+      if (startDate !== undefined) {
+        if (this.startDate === undefined) {
+          throw new Error('startDate is required for recurring transfers by start date');
+        }
+        firstDay = daysBetween(this.startDate, normalizeDate(startDate));
+      }
+      if (!Number.isInteger(firstDay) || firstDay < 0) {
+        throw new Error('Transfer start day must be zero or greater');
+      }
+
+      return { amount: transferAmount, frequency: normalizedFrequency, day: firstDay, count: 0 };
+    });
+  }
+
+  /**
+   * Deposits the recurring transfers due on the current day. Calendar accruals space each transfer's deposits by
+   * calendar periods from its first date, idealized accruals by idealized period days from its first day.
+   */
+  #applyTransfers(date) {
+    for (const transfer of this.#transfers) {
+      const { amount, frequency, day, count } = transfer;
+      const isDue =
+        date === undefined
+          ? this.#elapsedDays === day + idealizedPeriodOffset(frequency, count, this.daysInMonth)
+          : isSameDay(date, addPaymentPeriods(this.#dateOf(day), frequency, count));
+      if (isDue) {
+        transfer.count += 1;
+        this.#transfersIn = this.#transfersIn.addTo(amount);
+        this.deposit(amount);
+      }
+    }
+  }
+
+  #applyRateChange() {
+    const changedApy = this.#rateChanges.get(this.#elapsedDays);
+    if (changedApy !== undefined) {
+      this.#apy = changedApy;
+      this.#bands[0] = { ...this.#bands[0], dailyRate: dailyRateFor(changedApy) };
+    }
+  }
+
+  /**
+   * Returns one day of interest on the accruing balance. Blended tiers pay each band's rate on the slice of balance
+   * between the band's minimum and the next band's minimum, whole balance tiers pay the highest band reached on
+   * everything. Balances below zero, or below the first tier, earn the base rate unless the overdraft policy charges
+   * interest on negative balances. Balances below the minimum balance earn the below minimum apy when there is one.
+   */
+  #dailyInterest(accruingBalance) {
+    if (this.overdraftPolicy === 'INTEREST' && accruingBalance.lessThan(new Amount(0))) {
+      return accruingBalance
+        .multiplyBy(this.overdraftApr)
+        .divideBy(new Amount(financialCalendar.daysInYear));
+    }
+    if (
+      this.#belowMinimumDailyRate !== undefined &&
+      accruingBalance.lessThan(this.minimumBalance)
+    ) {
+      return accruingBalance.multiplyBy(this.#belowMinimumDailyRate);
+    }
+
+    if (this.#tierMethod === 'WHOLE_BALANCE') {
+      const band = this.#bands.findLast(
+        ({ minBalance }, index) => index === 0 || !accruingBalance.lessThan(minBalance),
+      );
+      return accruingBalance.multiplyBy(band.dailyRate);
+    }
+
+    let interest = new Amount(0);
+    for (const [index, { minBalance, dailyRate }] of this.#bands.entries()) {
+      if (index > 0 && !minBalance.lessThan(accruingBalance)) {
+        break;
+      }
+      const nextBand = this.#bands[index + 1];
+      const sliceTop =
+        nextBand !== undefined && nextBand.minBalance.lessThan(accruingBalance)
+          ? nextBand.minBalance
+          : accruingBalance;
+      const slice = index === 0 ? sliceTop : sliceTop.subtractFrom(minBalance);
+      interest = interest.addTo(slice.multiplyBy(dailyRate));
+    }
+
+    return interest;
+  }
 }
 
-export { Account };
+export { Account, uncoveredAmount };
@@ -1,36 +1,129 @@
 /**
- * Loan represents very simple (with simple interest!) fixed term loans and related utility functions.
+ * Loan represents very simple (with simple interest!) fixed term loans and related utility functions. Beyond fully
+ * amortizing installment loans the module also covers interest-only periods and balloon payments.
  * @module loan
  */
 
+import { addDays, addPaymentPeriods, daysBetween, normalizeDate } from '../math/calendar.js';
+import { solvePeriodicRate } from '../math/cash-flow.js';
 import { financialCalendar } from '../math/constants.js';
 import { Amount } from '../math/mini-money.js';
 
-const MONTHS_PER_YEAR = financialCalendar.monthsInYear;
-const MONTHS_PER_YEAR_AMOUNT = new Amount(MONTHS_PER_YEAR);
+/**
+ * Number of payment periods in a year for each supported period type. Semi-monthly loans have two payments per
+ * month and biweekly loans have a payment every other week of the 52 week financial year.
+ */
+const PERIODS_PER_YEAR = Object.freeze({
+  WEEK: financialCalendar.weeksInYear,
+  BIWEEK: financialCalendar.weeksInYear / 2,
+  SEMIMONTH: financialCalendar.monthsInYear * 2,
+  MONTH: financialCalendar.monthsInYear,
+});
+
+/**
+ * Periodic loans charge the periodic rate every period regardless of its length. Daily simple interest loans charge
+ * 1/365 of the nominal rate for each calendar day the principal is outstanding.
+ */
+const ACCRUAL_METHODS = Object.freeze(['PERIODIC', 'DAILY_SIMPLE']);
+
+function calculateLevelPayment(principal, periodicRate, periodCount) {
+  const fixedZero = new Amount(0);
+  if (principal.equals(fixedZero)) {
+    return fixedZero;
+  }
+
+  if (periodicRate.equals(fixedZero)) {
+    // Zero interest loans round down to the nearest cent for every payment, favoring the borrower.
+    const basePayment = principal.divideBy(new Amount(periodCount));
+    return basePayment.divideBy(new Amount(1), { roundingMode: 'bankers', decimalPlaces: 2 });
+  }
+
+  const ratePlusOne = periodicRate.addTo(new Amount(1));
+  const growthFactor = ratePlusOne.pow(periodCount);
+  const numerator = principal.multiplyBy(periodicRate).multiplyBy(growthFactor);
+  const denominator = growthFactor.subtractFrom(new Amount(1));
+
+  return numerator.divideBy(denominator, { roundingMode: 'bankers', decimalPlaces: 2 });
+}
+
+function normalizePeriodType(periodType) {
+  const normalizedPeriodType = typeof periodType === 'string' ? periodType.toUpperCase() : '';
+  if (!Object.prototype.hasOwnProperty.call(PERIODS_PER_YEAR, normalizedPeriodType)) {
+    throw new Error('Unsupported period type');
+  }
+  return normalizedPeriodType;
+}
+
+function assertValidRate(rate) {
+  if (typeof rate !== 'number' || Number.isNaN(rate) || !Number.isFinite(rate) || rate < 0) {
+    throw new Error('Rate must be a non-negative finite number');
+  }
+}
 
 /**
  * Loan account represents fixed term simple interest installment loans, complete with functions to introspect
  * the results of the loan over time. This class makes key assumptions to simplify this utility calculator,
  * 1) interest is simple and not compounding
  * 2) principal repayment is amortized across all payment periods, which the final payment being the largest if the
- * amount does not evenly divide
+ * amount does not evenly divide. Loans may instead start with interest-only periods, or amortize over a longer term
+ * than the loan itself leaving a balloon payment due with the final period
  * @class Account
  */
 class Account {
   #periodicRate;
+  #dailyRate;
   #cachedPaymentAmount = undefined;
   /**
    * Creates a immutable loan account. This class does not attempt to emulate a real banking system and therefore does
    * not
    * support payments over time. Instead it calculates a fixed payment schedule and total interest assuming that the
-   * 'user' of the loan makes payments on the due date exactly as perscribed by the payment schedule.
+   * 'user' of the loan makes payments on the due date exactly as perscribed by the payment schedule. Use
+   * latePaymentSchedule to stress test late or missed payments.
    * @param {number} periodCount The number of periods in this loan
-   * @param {string} periodType The type of period, only 'MONTH' is supported
+   * @param {string} periodType The type of period, one of 'WEEK', 'BIWEEK', 'SEMIMONTH' or 'MONTH'
    * @param {number} rate The simple, non-compound, nominal annual interest charge associated with this loan
-   * @param {number} principal The amount of money being loaned
+   * @param {number} principal The amount of money being loaned, before any down payment or financed fee
+   * @param {object} [options]
+   * @param {number} [options.downPayment=0] Cash paid at signing that reduces the amount loaned
+   * @param {number} [options.originationFee=0] Upfront origination or processing fee, a currency amount or, when
+   *  originationFeeType is 'PERCENT', a decimal rate applied to the amount loaned after the down payment
+   * @param {string} [options.originationFeeType='FLAT'] Either 'FLAT' or 'PERCENT'
+   * @param {boolean} [options.financeFee=false] Adds the fee to the amount loaned instead of collecting it at signing
+   * @param {string} [options.accrualMethod='PERIODIC'] Either 'PERIODIC' or 'DAILY_SIMPLE'
+   * @param {Date|string|number} [options.startDate] The date the loan is made, required for daily simple interest
+   *  and for rate changes given by effective date
+   * @param {Array<{rate: number, period: number, effectiveDate: (Date|string|number)}>} [options.rateChanges=[]]
+   *  Variable rate changes, each a new nominal annual rate that takes effect either from a one-based period or from
+   *  the first period beginning on or after an effective date
+   * @param {number} [options.interestOnlyPeriodCount=0] Leading periods where only interest is paid, principal is
+   *  then amortized over the periods that follow
+   * @param {number} [options.amortizationPeriodCount=periodCount] Number of periods, counted from the first period,
+   *  used to size the payment. A count longer than periodCount leaves a balloon payment due with the final period
+   * @param {number} [options.lateFee=0] Fee assessed when a payment is missed or made after the grace days
+   * @param {number} [options.lateFeeGraceDays=0] Days after the due date a payment may be made without a late fee
+   * @param {number} [options.penaltyRate] Nominal annual rate charged for the rest of the loan after a missed payment,
+   *  defaults to keeping the current rate
    */
-  constructor(periodCount, periodType, rate, principal) {
+  constructor(
+    periodCount,
+    periodType,
+    rate,
+    principal,
+    {
+      downPayment = 0,
+      originationFee = 0,
+      originationFeeType = 'FLAT',
+      financeFee = false,
+      accrualMethod = 'PERIODIC',
+      startDate,
+      rateChanges = [],
+      interestOnlyPeriodCount = 0,
+      amortizationPeriodCount = periodCount,
+      lateFee = 0,
+      lateFeeGraceDays = 0,
+      penaltyRate,
+    } = {},
+  ) {
     if (!Number.isInteger(periodCount) || periodCount <= 0) {
       throw new Error('Period count must be a positive integer');
     }
@@ -38,54 +131,532 @@ class Account {
       throw new Error('Principal must be zero or greater');
     }
 
-    const normalizedPeriodType = typeof periodType === 'string' ? periodType.toUpperCase() : '';
+    const normalizedPeriodType = normalizePeriodType(periodType);
 
-    if (normalizedPeriodType !== 'MONTH') {
-      throw new Error('Unsupported period type');
+    assertValidRate(rate);
+    this.nominalAnnualRate = new Amount(rate);
+
+    const fixedZero = new Amount(0);
+    this.downPayment = new Amount(downPayment);
+    if (this.downPayment.lessThan(fixedZero)) {
+      throw new Error('Down payment must be zero or greater');
     }
+    if (new Amount(principal).lessThan(this.downPayment)) {
+      throw new Error('Down payment must not exceed the principal');
+    }
+    const amountFinanced = new Amount(principal).subtractFrom(this.downPayment);
 
-    if (typeof rate !== 'number' || Number.isNaN(rate) || !Number.isFinite(rate) || rate < 0) {
-      throw new Error('Rate must be a non-negative finite number');
+    const normalizedFeeType =
+      typeof originationFeeType === 'string' ? originationFeeType.toUpperCase() : '';
+    if (normalizedFeeType !== 'FLAT' && normalizedFeeType !== 'PERCENT') {
+      throw new Error('Unsupported origination fee type');
     }
-    this.nominalAnnualRate = new Amount(rate);
+    const feeInput = new Amount(originationFee);
+    if (feeInput.lessThan(fixedZero)) {
+      throw new Error('Origination fee must be zero or greater');
+    }
+    this.originationFee =
+      normalizedFeeType === 'PERCENT'
+        ? amountFinanced.multiplyBy(feeInput, { roundingMode: 'bankers', decimalPlaces: 2 })
+        : feeInput;
+    this.financeFee = Boolean(financeFee);
+
+    const normalizedAccrualMethod =
+      typeof accrualMethod === 'string' ? accrualMethod.toUpperCase() : '';
+    if (!ACCRUAL_METHODS.includes(normalizedAccrualMethod)) {
+      throw new Error('Unsupported accrual method');
+    }
+    if (normalizedAccrualMethod === 'DAILY_SIMPLE' && startDate === undefined) {
+      throw new Error('startDate is required for daily simple interest');
+    }
+    this.accrualMethod = normalizedAccrualMethod;
+    this.startDate = startDate === undefined ? undefined : normalizeDate(startDate);
 
     this.periodCount = periodCount;
     this.periodType = normalizedPeriodType;
-    this.principal = new Amount(principal);
-    this.#periodicRate = this.nominalAnnualRate.divideBy(MONTHS_PER_YEAR_AMOUNT);
+    this.principal = this.financeFee ? amountFinanced.addTo(this.originationFee) : amountFinanced;
+    this.#periodicRate = this.nominalAnnualRate.divideBy(
+      new Amount(PERIODS_PER_YEAR[normalizedPeriodType]),
+    );
+    this.#dailyRate = this.nominalAnnualRate.divideBy(new Amount(financialCalendar.daysInYear));
+    this.rateChanges = this.#normalizeRateChanges(rateChanges);
+
+    if (
+      !Number.isInteger(interestOnlyPeriodCount) ||
+      interestOnlyPeriodCount < 0 ||
+      interestOnlyPeriodCount >= periodCount
+    ) {
+      throw new Error('Interest-only period count must be an integer less than the period count');
+    }
+    if (!Number.isInteger(amortizationPeriodCount) || amortizationPeriodCount < periodCount) {
+      throw new Error('Amortization period count must be an integer no less than the period count');
+    }
+    this.interestOnlyPeriodCount = interestOnlyPeriodCount;
+    this.amortizationPeriodCount = amortizationPeriodCount;
+
+    this.lateFee = new Amount(lateFee);
+    if (this.lateFee.lessThan(fixedZero)) {
+      throw new Error('Late fee must be zero or greater');
+    }
+    if (!Number.isInteger(lateFeeGraceDays) || lateFeeGraceDays < 0) {
+      throw new Error('Late fee grace days must be a non-negative integer');
+    }
+    this.lateFeeGraceDays = lateFeeGraceDays;
+    if (penaltyRate !== undefined) {
+      assertValidRate(penaltyRate);
+    }
+    this.penaltyRate = penaltyRate === undefined ? undefined : new Amount(penaltyRate);
     this.#cachedPaymentAmount = undefined;
   }
 
   /**
-   * Returns the computed payment amount for each period of the loan.
+   * True when every payment but the last equals payment(), ie periodic accrual at a single rate over a fully
+   * amortizing term. Daily simple interest, variable rate, interest-only and balloon loans have payments that differ
+   * by period and are best read from the amortization schedule.
+   * @property {boolean} hasLevelPayments
+   */
+  get hasLevelPayments() {
+    return (
+      this.accrualMethod === 'PERIODIC' &&
+      this.rateChanges.length === 0 &&
+      this.interestOnlyPeriodCount === 0 &&
+      this.amortizationPeriodCount === this.periodCount
+    );
+  }
+
+  /**
+   * Returns the computed payment amount for each period of the loan. For variable rate loans this is the first
+   * period's payment, including any rate change effective from the first period, see paymentChanges, and for
+   * interest-only loans it is the amortizing payment that follows the interest-only periods.
    * @method payment
    * @returns {Amount} payment amount per period
    */
   payment() {
+    if (this.rateChanges.length > 0) {
+      return this.paymentChanges()[0].payment;
+    }
+
     return this.#getPaymentAmount();
   }
 
   /**
    * Returns the total interest paid over the life of the account. Again, this is not a real banking system so the
-   * calculation assumings that all payments are made on the exact due date and for the exact amount owed.
+   * calculation assumings that all payments are made on the exact due date and for the exact amount owed. The interest
+   * is summed from the amortization schedule, so it reflects the rounded final payment and agrees with the schedule
+   * for every kind of loan.
    * @method totalInterest
    * @returns {Amount} Returns an amount representing the interest charge
    */
   totalInterest() {
+    return this.amortizationSchedule().reduce(
+      (total, { interest }) => total.addTo(interest),
+      new Amount(0),
+    );
+  }
+
+  /**
+   * Returns the scheduled payment and rate from the first period and from each period where a rate change re-amortizes
+   * the remaining balance over the remaining periods.
+   * @method paymentChanges
+   * @returns {Array<{period: number, rate: Amount, payment: Amount}>} Payment changes in period order
+   */
+  paymentChanges() {
+    return this.#amortize().paymentChanges;
+  }
+
+  /**
+   * Returns the final scheduled payment. For balloon loans this is the large payment settling the balance that the
+   * regular payments leave outstanding, for other loans it is the last installment.
+   * @method balloonPayment
+   * @returns {Amount} The final payment
+   */
+  balloonPayment() {
+    return this.amortizationSchedule().at(-1).payment;
+  }
+
+  /**
+   * Returns the cash the borrower pays at signing, ie the down payment plus any origination fee that is not financed.
+   * @method upfrontPayment
+   * @returns {Amount} The amount due at signing
+   */
+  upfrontPayment() {
+    return this.financeFee ? this.downPayment : this.downPayment.addTo(this.originationFee);
+  }
+
+  /**
+   * Returns the finance charge, in the Regulation Z sense, of the loan: the interest paid over the loan plus the
+   * origination fee whether it was financed or paid at signing.
+   * @method financeCharge
+   * @returns {Amount} The total cost of credit
+   */
+  financeCharge() {
+    return this.totalInterest().addTo(this.originationFee);
+  }
+
+  /**
+   * Returns the effective annual percentage rate implied by the loan's actual cash flows. The credit provided is the
+   * principal less the origination fee, whether financed or paid at signing, and the payments are those of the
+   * amortization schedule so fees and payment rounding are both reflected. This mirrors the Regulation Z actuarial
+   * method, so a zero rate loan with an origination fee has an APR greater than zero.
+   * @method annualPercentageRate
+   * @returns {Amount} The effective nominal annual rate as a decimal rounded to six places
+   */
+  annualPercentageRate() {
     const fixedZero = new Amount(0);
-    if (this.#periodicRate.equals(fixedZero)) {
+    if (this.principal.equals(fixedZero)) {
       return fixedZero;
     }
 
-    const payment = this.#getPaymentAmount();
-    const totalPaidAmount = payment.multiplyBy(new Amount(this.periodCount));
-    const rawInterestAmount = totalPaidAmount.subtractFrom(this.principal);
+    const advanced = this.principal.subtractFrom(this.originationFee);
+    if (!fixedZero.lessThan(advanced)) {
+      throw new Error('Origination fee must be less than the amount financed');
+    }
 
-    if (rawInterestAmount.lessThan(fixedZero) || rawInterestAmount.equals(fixedZero)) {
-      return fixedZero;
+    const payments = this.amortizationSchedule().map(({ payment }) => payment);
+    const periodicRate = solvePeriodicRate(advanced, payments);
+
+    return periodicRate.multiplyBy(new Amount(PERIODS_PER_YEAR[this.periodType]), {
+      roundingMode: 'bankers',
+      decimalPlaces: 6,
+    });
+  }
+
+  /**
+   * Returns the full amortization schedule for the loan. Each period's interest is the periodic rate applied to the
+   * outstanding balance and rounded to the cent, the remainder of the payment reduces principal. The final payment is
+   * adjusted to whatever amount brings the balance exactly to zero, absorbing the rounding of the level payment.
+   *
+   * Daily simple interest loans instead charge the daily rate for each day since the previous payment, so a payment
+   * made early puts more toward principal and a late payment puts more toward interest. Their entries also report
+   * the payment date and the days of interest charged.
+   * @method amortizationSchedule
+   * @param {object} [options]
+   * @param {Array<Date|string|number>} [options.paymentDates] Dates each payment is actually made, one per period,
+   *  for daily simple interest loans. Defaults to the due dates
+   * @returns {Array<{period: number, payment: Amount, interest: Amount, principal: Amount, balance: Amount}>}
+   *  One entry per period, in due order, where period is the one-based due index and balance is the remaining
+   *  principal after the payment is applied
+   */
+  amortizationSchedule({ paymentDates } = {}) {
+    return this.#amortize({ paymentDates }).schedule;
+  }
+
+  /**
+   * Returns a revised amortization schedule when the borrower pays more than the scheduled payment. Extra amounts
+   * are applied to principal in the period they are paid, so later interest is lower and the loan may be paid off
+   * early. The level payment is not re-amortized, prepaying only shortens the loan.
+   * @method prepaymentSchedule
+   * @param {object} [options]
+   * @param {number} [options.extraPayment=0] Extra principal paid with every scheduled payment
+   * @param {Array<{period: number, amount: number}>} [options.lumpSums=[]] One-off principal prepayments made with
+   *  the payment for the one-based period, a lump sum without an amount pays off the remaining balance
+   * @param {number} [options.prepaymentPenaltyRate=0] Penalty charged on prepaid principal as a decimal rate
+   * @param {Date|string|number} [options.startDate] Loan start date used to report the payoff date, defaults to the
+   *  loan's start date when it has one
+   * @returns {{schedule: Array<object>, payoffPeriod: number, payoffDate: (Date|undefined), totalInterest: Amount,
+   *  interestSaved: Amount, totalPenalty: Amount}} The revised schedule, where each entry also reports the
+   *  extraPrincipal prepaid and penalty charged that period, along with the payoff period (and date when startDate is
+   *  provided), the interest paid and saved compared to the original schedule and the total penalties
+   */
+  prepaymentSchedule({
+    extraPayment = 0,
+    lumpSums = [],
+    prepaymentPenaltyRate = 0,
+    startDate,
+  } = {}) {
+    const fixedZero = new Amount(0);
+    const recurringExtra = new Amount(extraPayment);
+    if (recurringExtra.lessThan(fixedZero)) {
+      throw new Error('Extra payment must be zero or greater');
+    }
+    const prepaymentRate = new Amount(prepaymentPenaltyRate);
+    if (prepaymentRate.lessThan(fixedZero)) {
+      throw new Error('Prepayment penalty rate must be zero or greater');
+    }
+
+    const lumpSumsByPeriod = new Map();
+    for (const { period, amount } of lumpSums) {
+      if (!Number.isInteger(period) || period <= 0 || period > this.periodCount) {
+        throw new Error('Lump sum period must be within the loan term');
+      }
+      // an open ended lump sum pays off whatever balance remains
+      const lumpSum = amount === undefined ? this.principal : new Amount(amount);
+      if (lumpSum.lessThan(fixedZero)) {
+        throw new Error('Lump sum amount must be zero or greater');
+      }
+      lumpSumsByPeriod.set(period, (lumpSumsByPeriod.get(period) ?? fixedZero).addTo(lumpSum));
+    }
+
+    const { schedule: fullSchedule } = this.#amortize({
+      extraPrincipalFor: (period) =>
+        recurringExtra.addTo(lumpSumsByPeriod.get(period) ?? fixedZero),
+      prepaymentPenaltyRate: prepaymentRate,
+    });
+    // nothing is due once the balance is paid off
+    const payoffIndex = fullSchedule.findIndex(({ balance }) => balance.equals(fixedZero));
+    const schedule = fullSchedule.slice(0, payoffIndex + 1);
+    const sumOf = (entries, key) =>
+      entries.reduce((total, entry) => total.addTo(entry[key]), new Amount(0));
+
+    const totalInterest = sumOf(schedule, 'interest');
+    const originalInterest = sumOf(this.amortizationSchedule(), 'interest');
+    const payoffPeriod = schedule.at(-1).period;
+    const payoffStart = startDate === undefined ? this.startDate : normalizeDate(startDate);
+
+    return {
+      schedule,
+      payoffPeriod,
+      payoffDate: payoffStart
+        ? addPaymentPeriods(payoffStart, this.periodType, payoffPeriod)
+        : undefined,
+      totalInterest,
+      interestSaved: originalInterest.subtractFrom(totalInterest),
+      totalPenalty: sumOf(schedule, 'penalty'),
+    };
+  }
+
+  /**
+   * Returns a stress-tested schedule where some payments are made late or missed entirely. A payment made more than
+   * lateFeeGraceDays late is charged the late fee, which is collected with that payment. A missed payment is also
+   * charged the late fee, the period's interest and fee are added to the balance, and from the next period the balance
+   * is re-amortized over the remaining periods at the penalty rate, when the loan has one. Late payments on daily
+   * simple interest loans also accrue interest for the extra days.
+   * @method latePaymentSchedule
+   * @param {object} [options]
+   * @param {Array<number>} [options.missedPeriods=[]] One-based periods where no payment is made, the final period
+   *  can not be missed
+   * @param {Array<{period: number, daysLate: number}>} [options.latePayments=[]] Payments made after their due date
+   * @returns {{schedule: Array<object>, totalLateFees: Amount, totalInterest: Amount, additionalCost: Amount}} The
+   *  revised schedule, where each entry also reports the lateFee assessed and whether the payment was missed, along
+   *  with the total late fees, interest and the extra cost compared to paying on time
+   */
+  latePaymentSchedule({ missedPeriods = [], latePayments = [] } = {}) {
+    const missed = new Set();
+    for (const period of missedPeriods) {
+      if (!Number.isInteger(period) || period <= 0 || period >= this.periodCount) {
+        throw new Error('Missed period must be within the loan term and before the final period');
+      }
+      missed.add(period);
     }
 
-    return rawInterestAmount.addTo(new Amount(0), { roundingMode: 'bankers', decimalPlaces: 2 });
+    const lateFeePeriods = new Set();
+    const daysLateByPeriod = new Map();
+    for (const { period, daysLate } of latePayments) {
+      if (!Number.isInteger(period) || period <= 0 || period > this.periodCount) {
+        throw new Error('Late payment period must be within the loan term');
+      }
+      if (!Number.isInteger(daysLate) || daysLate < 0) {
+        throw new Error('Days late must be a non-negative integer');
+      }
+      daysLateByPeriod.set(period, daysLate);
+      if (daysLate > this.lateFeeGraceDays) {
+        lateFeePeriods.add(period);
+      }
+    }
+
+    const paymentDates =
+      this.accrualMethod === 'DAILY_SIMPLE'
+        ? this.#paymentDates().map((dueDate, index) =>
+            addDays(dueDate, daysLateByPeriod.get(index + 1) ?? 0),
+          )
+        : undefined;
+    const { schedule } = this.#amortize({ missedPeriods: missed, lateFeePeriods, paymentDates });
+    const sumOf = (entries, key) =>
+      entries.reduce((total, entry) => total.addTo(entry[key]), new Amount(0));
+
+    return {
+      schedule,
+      totalLateFees: sumOf(schedule, 'lateFee'),
+      totalInterest: sumOf(schedule, 'interest'),
+      additionalCost: sumOf(schedule, 'payment').subtractFrom(
+        sumOf(this.amortizationSchedule(), 'payment'),
+      ),
+    };
+  }
+
+  #amortize({
+    extraPrincipalFor,
+    prepaymentPenaltyRate = new Amount(0),
+    paymentDates,
+    missedPeriods,
+    lateFeePeriods,
+  } = {}) {
+    const fixedZero = new Amount(0);
+    const isDailySimple = this.accrualMethod === 'DAILY_SIMPLE';
+    const dates = isDailySimple ? this.#paymentDates(paymentDates) : [];
+    const rateChangesByPeriod = new Map(this.rateChanges.map(({ period, rate }) => [period, rate]));
+    const schedule = [];
+
+    let annualRate = this.nominalAnnualRate;
+    let periodicRate = this.#periodicRate;
+    let dailyRate = this.#dailyRate;
+    let levelPayment = this.#getPaymentAmount();
+    const paymentChanges = [{ period: 1, rate: annualRate, payment: levelPayment }];
+
+    const reportsLatePayments = missedPeriods !== undefined;
+    let penaltyApplied = false;
+    let reamortizePeriod;
+
+    let balance = this.principal;
+    let previousDate = this.startDate;
+    for (let period = 1; period <= this.periodCount; period += 1) {
+      let newRate;
+      if (period === reamortizePeriod) {
+        // a missed payment triggers the penalty rate, if any, which overrides later rate changes
+        penaltyApplied = penaltyApplied || this.penaltyRate !== undefined;
+        newRate = this.penaltyRate ?? annualRate;
+      }
+      if (!penaltyApplied && rateChangesByPeriod.has(period)) {
+        newRate = rateChangesByPeriod.get(period);
+      }
+      if (newRate !== undefined) {
+        // re-amortize the remaining balance over the remaining periods at the new rate
+        annualRate = newRate;
+        periodicRate = annualRate.divideBy(new Amount(PERIODS_PER_YEAR[this.periodType]));
+        dailyRate = annualRate.divideBy(new Amount(financialCalendar.daysInYear));
+        levelPayment = calculateLevelPayment(
+          balance,
+          periodicRate,
+          this.#amortizingPeriodsFrom(period),
+        );
+        if (paymentChanges.at(-1).period === period) {
+          paymentChanges.pop();
+        }
+        paymentChanges.push({ period, rate: annualRate, payment: levelPayment });
+      }
+
+      const date = dates[period - 1];
+      const days = isDailySimple ? daysBetween(previousDate, date) : undefined;
+      const rate = isDailySimple ? dailyRate.multiplyBy(new Amount(days)) : periodicRate;
+      const interest = balance.multiplyBy(rate, {
+        roundingMode: 'bankers',
+        decimalPlaces: 2,
+      });
+      const isFinalPeriod = period === this.periodCount;
+      const isMissed = reportsLatePayments && missedPeriods.has(period);
+      const lateFee =
+        reportsLatePayments && (isMissed || lateFeePeriods.has(period)) ? this.lateFee : fixedZero;
+      if (isMissed) {
+        // nothing is paid, the interest charged and late fee are added to the balance
+        balance = balance.addTo(interest).addTo(lateFee);
+        reamortizePeriod = period + 1;
+        const entry = {
+          period,
+          payment: fixedZero,
+          interest,
+          principal: fixedZero.subtractFrom(interest),
+          balance,
+          lateFee,
+          missed: true,
+        };
+        if (isDailySimple) {
+          Object.assign(entry, { date, days });
+          previousDate = date;
+        }
+        schedule.push(entry);
+        continue;
+      }
+
+      const isInterestOnly = period <= this.interestOnlyPeriodCount;
+      let scheduledPrincipal = isInterestOnly ? fixedZero : levelPayment.subtractFrom(interest);
+      if (isFinalPeriod || balance.lessThan(scheduledPrincipal)) {
+        scheduledPrincipal = balance;
+      }
+      if (scheduledPrincipal.lessThan(fixedZero)) {
+        scheduledPrincipal = fixedZero;
+      }
+
+      const remaining = balance.subtractFrom(scheduledPrincipal);
+      let extraPrincipal = extraPrincipalFor ? extraPrincipalFor(period) : fixedZero;
+      if (remaining.lessThan(extraPrincipal)) {
+        extraPrincipal = remaining;
+      }
+      const penalty = extraPrincipal.multiplyBy(prepaymentPenaltyRate, {
+        roundingMode: 'bankers',
+        decimalPlaces: 2,
+      });
+
+      const principalPaid = scheduledPrincipal.addTo(extraPrincipal);
+      // a late payment's fee is collected with the payment
+      const payment = principalPaid.addTo(interest).addTo(penalty).addTo(lateFee);
+      balance = balance.subtractFrom(principalPaid);
+
+      const entry = { period, payment, interest, principal: principalPaid, balance };
+      if (isDailySimple) {
+        Object.assign(entry, { date, days });
+        previousDate = date;
+      }
+      if (extraPrincipalFor) {
+        Object.assign(entry, { extraPrincipal, penalty });
+      }
+      if (reportsLatePayments) {
+        Object.assign(entry, { lateFee, missed: false });
+      }
+      schedule.push(entry);
+    }
+
+    return { schedule, paymentChanges };
+  }
+
+  #normalizeRateChanges(rateChanges) {
+    if (!Array.isArray(rateChanges)) {
+      throw new Error('Rate changes must be an array');
+    }
+
+    const byPeriod = new Map();
+    for (const { rate, period, effectiveDate } of rateChanges) {
+      assertValidRate(rate);
+      let effectivePeriod = period;
+      if (effectiveDate !== undefined) {
+        if (this.startDate === undefined) {
+          throw new Error('startDate is required for rate changes by effective date');
+        }
+        effectivePeriod = this.#firstPeriodStartingOnOrAfter(normalizeDate(effectiveDate));
+      }
+      if (!Number.isInteger(effectivePeriod) || effectivePeriod <= 0) {
+        throw new Error('Rate change period must be a positive integer');
+      }
+      // changes effective after the final period starts never apply
+      if (effectivePeriod <= this.periodCount) {
+        byPeriod.set(effectivePeriod, new Amount(rate));
+      }
+    }
+
+    return [...byPeriod.entries()]
+      .sort(([left], [right]) => left - right)
+      .map(([period, rate]) => ({ period, rate }));
+  }
+
+  #firstPeriodStartingOnOrAfter(effectiveDate) {
+    let period = 1;
+    while (
+      period <= this.periodCount &&
+      daysBetween(addPaymentPeriods(this.startDate, this.periodType, period - 1), effectiveDate) > 0
+    ) {
+      period += 1;
+    }
+    return period;
+  }
+
+  #paymentDates(paymentDates) {
+    if (paymentDates === undefined) {
+      return Array.from({ length: this.periodCount }, (_, index) =>
+        addPaymentPeriods(this.startDate, this.periodType, index + 1),
+      );
+    }
+
+    if (!Array.isArray(paymentDates) || paymentDates.length !== this.periodCount) {
+      throw new Error('Payment dates must include one date per period');
+    }
+    const dates = paymentDates.map((paymentDate) => normalizeDate(paymentDate));
+    dates.reduce((previous, current) => {
+      if (daysBetween(previous, current) < 0) {
+        throw new Error('Payment dates must be in order and on or after the start date');
+      }
+      return current;
+    }, this.startDate);
+
+    return dates;
   }
 
   #getPaymentAmount() {
@@ -97,24 +668,96 @@ class Account {
   }
 
   #calculatePaymentAmount() {
-    const fixedZero = new Amount(0);
-    if (this.principal.equals(fixedZero)) {
-      return fixedZero;
-    }
+    return calculateLevelPayment(
+      this.principal,
+      this.#periodicRate,
+      this.#amortizingPeriodsFrom(1),
+    );
+  }
 
-    if (this.#periodicRate.equals(fixedZero)) {
-      // Zero interest loans round down to the nearest cent for every payment, favoring the borrower.
-      const basePayment = this.principal.divideBy(new Amount(this.periodCount));
-      return basePayment.divideBy(new Amount(1), { roundingMode: 'bankers', decimalPlaces: 2 });
-    }
+  #amortizingPeriodsFrom(period) {
+    return this.amortizationPeriodCount - Math.max(period, this.interestOnlyPeriodCount + 1) + 1;
+  }
+}
 
-    const ratePlusOne = this.#periodicRate.addTo(new Amount(1));
-    const growthFactor = ratePlusOne.pow(this.periodCount);
-    const numerator = this.principal.multiplyBy(this.#periodicRate).multiplyBy(growthFactor);
-    const denominator = growthFactor.subtractFrom(new Amount(1));
+/**
+ * Solves for the nominal annual rate implied by a fixed payment, eg "$89.99/month for 24 months on a $1,999
+ * purchase". The periodic rate is found by bisection on the present value of the payments and annualized.
+ * @param {object} terms
+ * @param {number} terms.principal The amount of money being loaned
+ * @param {number} terms.periodCount The number of payments
+ * @param {number} terms.payment The payment made every period
+ * @param {string} [terms.periodType='MONTH'] The type of period, one of 'WEEK', 'BIWEEK', 'SEMIMONTH' or 'MONTH'
+ * @param {number} [terms.tolerance=1e-12] Convergence tolerance on the periodic rate
+ * @returns {Amount} The nominal annual rate as a decimal
+ */
+function solveRate({ principal, periodCount, payment, periodType = 'MONTH', tolerance = 1e-12 }) {
+  const normalizedPeriodType = normalizePeriodType(periodType);
+  if (!Number.isInteger(periodCount) || periodCount <= 0) {
+    throw new Error('Period count must be a positive integer');
+  }
+  const principalAmount = new Amount(principal);
+  const paymentAmount = new Amount(payment);
+  const fixedZero = new Amount(0);
+  if (!fixedZero.lessThan(principalAmount) || !fixedZero.lessThan(paymentAmount)) {
+    throw new Error('Principal and payment must be greater than zero');
+  }
+  if (paymentAmount.multiplyBy(new Amount(periodCount)).lessThan(principalAmount)) {
+    throw new Error('Payments do not repay the principal within the period count');
+  }
+
+  const payments = Array.from({ length: periodCount }, () => paymentAmount);
+  const periodicRate = solvePeriodicRate(principalAmount, payments, {
+    tolerance: new Amount(tolerance),
+  });
+
+  return periodicRate.multiplyBy(new Amount(PERIODS_PER_YEAR[normalizedPeriodType]));
+}
 
-    return numerator.divideBy(denominator, { roundingMode: 'bankers', decimalPlaces: 2 });
+/**
+ * Solves for the number of periods needed to repay a loan with a fixed payment. Interest is charged and rounded to the
+ * cent every period exactly as in the amortization schedule, so the final, partial, payment is included in the count.
+ * @param {object} terms
+ * @param {number} terms.principal The amount of money being loaned
+ * @param {number} terms.rate The simple, non-compound, nominal annual interest rate
+ * @param {number} terms.payment The payment made every period
+ * @param {string} [terms.periodType='MONTH'] The type of period, one of 'WEEK', 'BIWEEK', 'SEMIMONTH' or 'MONTH'
+ * @param {number} [terms.maxPeriodCount=1200] Upper bound on the term searched
+ * @returns {number} The number of periods until the loan is repaid
+ */
+function solveTerm({ principal, rate, payment, periodType = 'MONTH', maxPeriodCount = 1200 }) {
+  const normalizedPeriodType = normalizePeriodType(periodType);
+  assertValidRate(rate);
+  const fixedZero = new Amount(0);
+  const paymentAmount = new Amount(payment);
+  let balance = new Amount(principal);
+  if (balance.lessThan(fixedZero)) {
+    throw new Error('Principal must be zero or greater');
+  }
+  if (!fixedZero.lessThan(paymentAmount)) {
+    throw new Error('Payment must be greater than zero');
+  }
+
+  const periodicRate = new Amount(rate).divideBy(
+    new Amount(PERIODS_PER_YEAR[normalizedPeriodType]),
+  );
+  let periodCount = 0;
+  while (fixedZero.lessThan(balance)) {
+    const interest = balance.multiplyBy(periodicRate, {
+      roundingMode: 'bankers',
+      decimalPlaces: 2,
+    });
+    if (!interest.lessThan(paymentAmount)) {
+      throw new Error('Payment does not cover the interest charged each period');
+    }
+    periodCount += 1;
+    if (periodCount > maxPeriodCount) {
+      throw new Error('Payment does not repay the principal within the maximum period count');
+    }
+    balance = balance.subtractFrom(paymentAmount.subtractFrom(interest));
   }
+
+  return periodCount;
 }
 
-export { Account };
+export { Account, PERIODS_PER_YEAR, solveRate, solveTerm };
@@ -0,0 +1,368 @@
+/**
+ * Treasury bill models short term treasury bills, which are bought at a discount to their face value and quoted as a
+ * bank discount yield, along with functions for converting between the discount yield, the bond equivalent yield and
+ * the annual percentage yield.
+ * @module treasury-bill
+ */
+
+import { addDays, daysBetween, normalizeDate } from '../math/calendar.js';
+import { financialCalendar } from '../math/constants.js';
+import { Amount } from '../math/mini-money.js';
+
+import { uncoveredAmount } from './deposit.js';
+
+// bank discount yields are quoted on a 360 day year
+const DISCOUNT_YEAR_DAYS = 360;
+const MAX_TERM_WEEKS = 26;
+
+function assertValidTermDays(termDays) {
+  if (!Number.isInteger(termDays) || termDays <= 0) {
+    throw new Error('Term days must be a positive integer');
+  }
+}
+
+/**
+ * Returns the price of a bill per dollar of face value for a bank discount yield.
+ * @param {number|Amount} discountYield The bank discount yield as a decimal
+ * @param {number} termDays Days until the bill matures
+ * @returns {Amount} The price per dollar of face value
+ */
+function priceFromDiscountYield(discountYield, termDays) {
+  assertValidTermDays(termDays);
+  const discount = new Amount(discountYield)
+    .multiplyBy(new Amount(termDays))
+    .divideBy(new Amount(DISCOUNT_YEAR_DAYS));
+
+  return new Amount(1).subtractFrom(discount);
+}
+
+/**
+ * Returns the price of a bill per dollar of face value for a bond equivalent yield.
+ * @param {number|Amount} bondEquivalentYield The bond equivalent yield as a decimal
+ * @param {number} termDays Days until the bill matures
+ * @returns {Amount} The price per dollar of face value
+ */
+function priceFromBondEquivalentYield(bondEquivalentYield, termDays) {
+  assertValidTermDays(termDays);
+  const one = new Amount(1);
+  const growth = one.addTo(
+    new Amount(bondEquivalentYield)
+      .multiplyBy(new Amount(termDays))
+      .divideBy(new Amount(financialCalendar.daysInYear)),
+  );
+
+  return one.divideBy(growth);
+}
+
+/**
+ * Returns the price of a bill per dollar of face value for an annual percentage yield.
+ * @param {number|Amount} apy The annual percentage yield as a decimal
+ * @param {number} termDays Days until the bill matures
+ * @returns {Amount} The price per dollar of face value
+ */
+function priceFromApy(apy, termDays) {
+  assertValidTermDays(termDays);
+  const one = new Amount(1);
+  const growth = one.addTo(new Amount(apy)).nthRoot(financialCalendar.daysInYear).pow(termDays);
+
+  return one.divideBy(growth);
+}
+
+/**
+ * Returns the bank discount yield of a bill bought at a price per dollar of face value.
+ * @param {Amount} price The price per dollar of face value
+ * @param {number} termDays Days until the bill matures
+ * @returns {Amount} The bank discount yield as a decimal
+ */
+function discountYieldFromPrice(price, termDays) {
+  assertValidTermDays(termDays);
+  return new Amount(1)
+    .subtractFrom(price)
+    .multiplyBy(new Amount(DISCOUNT_YEAR_DAYS))
+    .divideBy(new Amount(termDays));
+}
+
+/**
+ * Returns the bond equivalent yield of a bill bought at a price per dollar of face value, ie the simple return on the
+ * price over a 365 day year.
+ * @param {Amount} price The price per dollar of face value
+ * @param {number} termDays Days until the bill matures
+ * @returns {Amount} The bond equivalent yield as a decimal
+ */
+function bondEquivalentYieldFromPrice(price, termDays) {
+  assertValidTermDays(termDays);
+  return new Amount(1)
+    .subtractFrom(price)
+    .divideBy(price)
+    .multiplyBy(new Amount(financialCalendar.daysInYear))
+    .divideBy(new Amount(termDays));
+}
+
+/**
+ * Returns the annual percentage yield of a bill bought at a price per dollar of face value, assuming the proceeds are
+ * reinvested in identical bills for the rest of the year.
+ * @param {Amount} price The price per dollar of face value
+ * @param {number} termDays Days until the bill matures
+ * @returns {Amount} The annual percentage yield as a decimal
+ */
+function apyFromPrice(price, termDays) {
+  assertValidTermDays(termDays);
+  const one = new Amount(1);
+  return one.divideBy(price).nthRoot(termDays).pow(financialCalendar.daysInYear).subtractFrom(one);
+}
+
+/**
+ * Treasury bill account represents cash held in treasury bills of a single term that are rolled into new bills at
+ * the same yield as each one matures. It can stand in for the deposit account. The position grows by the bill's
+ * discount each day and that growth is credited to the balance when the bills mature. Withdrawals are assumed to be
+ * funded by selling bills at their purchase price, so growth already accrued stays in the position until maturity.
+ * @class Account
+ */
+class Account {
+  #balance;
+  #price;
+  #dailyRate;
+  #pendingInterest;
+  #interestAccrued;
+  #elapsedDays;
+  #purchaseDate;
+  /**
+   * Buys treasury bills with an opening balance. The yield may be quoted as exactly one of a bank discount yield, a
+   * bond equivalent yield or an apy.
+   * @param {number} openingBalance The cash invested in bills, defaults to zero
+   * @param {object} quote
+   * @param {number} [quote.termWeeks=13] Weeks until each bill matures, at most 26
+   * @param {number} [quote.discountYield] The bank discount yield as a decimal
+   * @param {number} [quote.bondEquivalentYield] The bond equivalent yield as a decimal
+   * @param {number} [quote.apy] The annual percentage yield as a decimal
+   */
+  constructor(
+    openingBalance = 0,
+    { termWeeks = 13, discountYield, bondEquivalentYield, apy } = {},
+  ) {
+    if (!Number.isInteger(termWeeks) || termWeeks <= 0 || termWeeks > MAX_TERM_WEEKS) {
+      throw new Error(`Term weeks must be an integer between 1 and ${MAX_TERM_WEEKS}`);
+    }
+    this.termWeeks = termWeeks;
+    this.termDays = termWeeks * financialCalendar.daysInWeek;
+
+    const quotes = [discountYield, bondEquivalentYield, apy].filter((quote) => quote !== undefined);
+    if (quotes.length !== 1) {
+      throw new Error('Exactly one of discountYield, bondEquivalentYield or apy is required');
+    }
+    if (discountYield !== undefined) {
+      this.#price = priceFromDiscountYield(discountYield, this.termDays);
+    } else if (bondEquivalentYield !== undefined) {
+      this.#price = priceFromBondEquivalentYield(bondEquivalentYield, this.termDays);
+    } else {
+      this.#price = priceFromApy(apy, this.termDays);
+    }
+
+    const one = new Amount(1);
+    if (!this.#price.lessThan(one) && !this.#price.equals(one)) {
+      throw new Error('Yields must be zero or greater');
+    }
+    if (!new Amount(0).lessThan(this.#price)) {
+      throw new Error('Discount yield is too large for the term');
+    }
+
+    this.#balance = new Amount(openingBalance);
+    this.#dailyRate = one.divideBy(this.#price).nthRoot(this.termDays).subtractFrom(one);
+    this.#pendingInterest = new Amount(0);
+    this.#interestAccrued = new Amount(0);
+    this.#elapsedDays = 0;
+  }
+
+  /**
+   * Returns the bills' bank discount yield as an Amount
+   * @property {Amount} discountYield
+   */
+  get discountYield() {
+    return discountYieldFromPrice(this.#price, this.termDays);
+  }
+
+  /**
+   * Returns the bills' bond equivalent yield as an Amount
+   * @property {Amount} bondEquivalentYield
+   */
+  get bondEquivalentYield() {
+    return bondEquivalentYieldFromPrice(this.#price, this.termDays);
+  }
+
+  /**
+   * Returns the annual percentage yield from rolling the bills as an Amount
+   * @property {Amount} apy
+   */
+  get apy() {
+    return apyFromPrice(this.#price, this.termDays);
+  }
+
+  /**
+   * Returns the cash credited to the position as an Amount
+   * @property {Amount} balance
+   */
+  get balance() {
+    return this.#balance;
+  }
+
+  /**
+   * Sets the position's cash balance. Values provided as a number will be converted to an Amount.
+   * @property balance
+   * @param {number|Amount} newBalance The new balance
+   */
+  set balance(newBalance) {
+    this.#balance = newBalance instanceof Amount ? newBalance : new Amount(newBalance);
+  }
+
+  /**
+   * Returns the discount earned by maturing bills as an Amount
+   * @property {Amount} interestAccrued
+   */
+  get interestAccrued() {
+    return this.#interestAccrued;
+  }
+
+  /**
+   * Returns the growth accrued on bills that have not matured yet
+   * @property {Amount} pendingInterest
+   */
+  get pendingInterest() {
+    return this.#pendingInterest;
+  }
+
+  /**
+   * Returns the price paid for bills with a face value.
+   * @method purchasePrice
+   * @param {number|Amount} faceValue The amount paid at maturity
+   * @returns {Amount} The purchase price rounded to cents
+   */
+  purchasePrice(faceValue) {
+    return new Amount(faceValue).multiplyBy(this.#price, {
+      roundingMode: 'bankers',
+      decimalPlaces: 2,
+    });
+  }
+
+  /**
+   * Returns the face value, paid at maturity, of the bills a purchase amount buys.
+   * @method maturityValue
+   * @param {number|Amount} purchaseAmount The cash paid for the bills
+   * @returns {Amount} The maturity value rounded to cents
+   */
+  maturityValue(purchaseAmount) {
+    return new Amount(purchaseAmount).divideBy(this.#price, {
+      roundingMode: 'bankers',
+      decimalPlaces: 2,
+    });
+  }
+
+  /**
+   * Buys more bills with a deposit.
+   * @param {number} amount The amount to add to the position
+   * @returns {Account} This account updated by the deposit
+   */
+  deposit(amount) {
+    const depositAmount = new Amount(amount);
+    if (depositAmount.lessThan(new Amount(0))) {
+      throw new Error('Deposit must be zero or greater');
+    }
+
+    this.#balance = this.#balance.addTo(depositAmount);
+
+    return this;
+  }
+
+  /**
+   * Returns how much of a withdrawal the position's cash can not cover, zero when it covers it.
+   * @method shortfallFor
+   * @param {number|Amount} withdrawal The amount to withdraw
+   * @returns {Amount} The uncovered amount
+   */
+  shortfallFor(withdrawal) {
+    return uncoveredAmount(this.#balance, withdrawal);
+  }
+
+  /**
+   * Sells bills to fund a withdrawal.
+   * @param {number} withdrawal The amount to withdraw from the position
+   * @returns {Account} This account updated by the withdrawal
+   */
+  withdraw(withdrawal) {
+    const withdrawalAmount = new Amount(withdrawal);
+    if (withdrawalAmount.lessThan(new Amount(0))) {
+      throw new Error('Withdrawal must be zero or greater');
+    }
+
+    this.#balance = this.#balance.subtractFrom(withdrawalAmount);
+
+    return this;
+  }
+
+  /**
+   * Accrues the bills' growth over a number of days and credits it at the end of the span, like the deposit account's
+   * idealized accrual.
+   * @param {number} days A integer number of days to accrue
+   * @returns {Account} This account updated by the accrual
+   */
+  accrueForDays(days) {
+    return this.#accrue(days, (dayIndex) => dayIndex === days - 1);
+  }
+
+  /**
+   * Accrues the bills' growth over a span of calendar days and credits it as each roll of bills matures. The first
+   * bills are bought on the first date accrued, or on the date that many elapsed days before it when the position has
+   * already accrued without dates, and each roll matures termDays after the last. Fractional cents roll over to the
+   * next maturity.
+   * @param {number} days Number of days to accrue over
+   * @param {Date|string|number} startDate Starting calendar date of the span
+   * @returns {Account} This account updated by the accrual
+   */
+  accrueForDaysWithPosting(days, startDate) {
+    if (startDate === undefined) {
+      throw new Error('startDate is required to accrue over calendar dates');
+    }
+    const spanStart = normalizeDate(startDate);
+    this.#purchaseDate ??= addDays(spanStart, -this.#elapsedDays);
+
+    return this.#accrue(
+      days,
+      (dayIndex) =>
+        daysBetween(this.#purchaseDate, addDays(spanStart, dayIndex + 1)) % this.termDays === 0,
+    );
+  }
+
+  #accrue(days, isMaturityDay) {
+    if (!Number.isInteger(days) || days < 0) {
+      throw new Error('Days must be a non-negative integer');
+    }
+
+    for (let i = 0; i < days; i += 1) {
+      const dailyInterest = this.#balance.addTo(this.#pendingInterest).multiplyBy(this.#dailyRate);
+      this.#pendingInterest = this.#pendingInterest.addTo(dailyInterest);
+
+      if (isMaturityDay(i)) {
+        const postedInterest = this.#pendingInterest.addTo(new Amount(0), {
+          roundingMode: 'bankers',
+          decimalPlaces: 2,
+        });
+        this.#balance = this.#balance.addTo(postedInterest);
+        this.#interestAccrued = this.#interestAccrued.addTo(postedInterest);
+        this.#pendingInterest = this.#pendingInterest.subtractFrom(postedInterest);
+      }
+
+      this.#elapsedDays += 1;
+    }
+
+    return this;
+  }
+}
+
+export {
+  Account,
+  apyFromPrice,
+  bondEquivalentYieldFromPrice,
+  discountYieldFromPrice,
+  priceFromApy,
+  priceFromBondEquivalentYield,
+  priceFromDiscountYield,
+};
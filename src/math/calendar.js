@@ -5,6 +5,8 @@
  */
 
 const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAYS_PER_WEEK = 7;
+const DAYS_PER_HALF_MONTH = 15;
 
 function normalizeDate(input) {
   const parsed = parseDateInput(input);
@@ -77,6 +79,47 @@ function addMonthsPreserveDay(date, monthsToAdd) {
   return new Date(Date.UTC(anchor.getUTCFullYear(), anchor.getUTCMonth(), safeDay));
 }
 
+function addWeeks(date, weeksToAdd) {
+  if (!Number.isInteger(weeksToAdd)) {
+    throw new Error('Weeks to add must be an integer');
+  }
+
+  return addDays(date, weeksToAdd * DAYS_PER_WEEK);
+}
+
+/**
+ * Adds half months to a date. Every second half month lands on the same day of month (see addMonthsPreserveDay)
+ * while the half months in between fall fifteen days after that anchor, ie the 1st and 16th or the 15th and 30th.
+ */
+function addSemiMonthsPreserveDay(date, halfMonthsToAdd) {
+  if (!Number.isInteger(halfMonthsToAdd)) {
+    throw new Error('Half months to add must be an integer');
+  }
+
+  const wholeMonths = Math.floor(halfMonthsToAdd / 2);
+  const anchor = addMonthsPreserveDay(date, wholeMonths);
+  return halfMonthsToAdd % 2 === 0 ? anchor : addDays(anchor, DAYS_PER_HALF_MONTH);
+}
+
+/**
+ * Returns the date a number of payment periods after a date, where periodType is one of 'WEEK', 'BIWEEK',
+ * 'SEMIMONTH' or 'MONTH'.
+ */
+function addPaymentPeriods(date, periodType, periodsToAdd) {
+  switch (periodType) {
+    case 'WEEK':
+      return addWeeks(date, periodsToAdd);
+    case 'BIWEEK':
+      return addWeeks(date, periodsToAdd * 2);
+    case 'SEMIMONTH':
+      return addSemiMonthsPreserveDay(date, periodsToAdd);
+    case 'MONTH':
+      return addMonthsPreserveDay(date, periodsToAdd);
+    default:
+      throw new Error('Unsupported period type');
+  }
+}
+
 function daysBetween(start, end) {
   const normalizedStart = normalizeDate(start);
   const normalizedEnd = normalizeDate(end);
@@ -84,4 +127,14 @@ function daysBetween(start, end) {
   return Math.round(diff / MS_PER_DAY);
 }
 
-export { addDays, addMonthsPreserveDay, daysBetween, isSameDay, lastDayOfMonth, normalizeDate };
+export {
+  addDays,
+  addMonthsPreserveDay,
+  addPaymentPeriods,
+  addSemiMonthsPreserveDay,
+  addWeeks,
+  daysBetween,
+  isSameDay,
+  lastDayOfMonth,
+  normalizeDate,
+};
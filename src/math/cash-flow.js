@@ -0,0 +1,80 @@
+/**
+ * Helpers for discounting periodic cash flows and solving for the rate that equates them with a present value.
+ * @module cash-flow
+ */
+
+import { Amount } from './mini-money.js';
+
+const DEFAULT_TOLERANCE = new Amount('1e-12');
+const DEFAULT_MAX_ITERATIONS = 200;
+
+/**
+ * Discounts a series of end of period payments back to the start of the first period.
+ * @param {Array<Amount>} payments Payments in due order, the first payment is due one period from now
+ * @param {Amount} periodicRate The discount rate per period
+ * @returns {Amount} The present value of the payments
+ */
+function presentValue(payments, periodicRate) {
+  const one = new Amount(1);
+  const growth = one.addTo(periodicRate);
+
+  let discountFactor = one;
+  let total = new Amount(0);
+  for (const payment of payments) {
+    discountFactor = discountFactor.divideBy(growth);
+    total = total.addTo(payment.multiplyBy(discountFactor));
+  }
+
+  return total;
+}
+
+/**
+ * Solves for the periodic rate at which the present value of a payment stream equals an amount advanced, ie the
+ * actuarial method used for Regulation Z APR disclosures. The solver bisects between zero and an upper bound that is
+ * doubled until it brackets the rate. Payment streams that do not repay the amount advanced solve to zero.
+ * @param {Amount} amountAdvanced The amount of credit provided at the start of the first period
+ * @param {Array<Amount>} payments Payments in due order, the first payment is due one period from now
+ * @param {object} [options]
+ * @param {Amount} [options.tolerance] Stop once the rate is bracketed within this width, defaults to 1e-12
+ * @param {number} [options.maxIterations=200] Upper bound on bisection steps
+ * @returns {Amount} The periodic rate
+ */
+function solvePeriodicRate(
+  amountAdvanced,
+  payments,
+  { tolerance = DEFAULT_TOLERANCE, maxIterations = DEFAULT_MAX_ITERATIONS } = {},
+) {
+  const fixedZero = new Amount(0);
+  if (!fixedZero.lessThan(amountAdvanced)) {
+    throw new Error('Amount advanced must be greater than zero');
+  }
+  if (payments.length === 0) {
+    throw new Error('At least one payment is required');
+  }
+
+  const exceedsAdvance = (rate) => amountAdvanced.lessThan(presentValue(payments, rate));
+  if (!exceedsAdvance(fixedZero)) {
+    return fixedZero;
+  }
+
+  const two = new Amount(2);
+  let low = fixedZero;
+  let high = new Amount(1);
+  for (let i = 0; i < maxIterations && exceedsAdvance(high); i += 1) {
+    low = high;
+    high = high.multiplyBy(two);
+  }
+
+  for (let i = 0; i < maxIterations && tolerance.lessThan(high.subtractFrom(low)); i += 1) {
+    const mid = low.addTo(high).divideBy(two);
+    if (exceedsAdvance(mid)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low.addTo(high).divideBy(two);
+}
+
+export { presentValue, solvePeriodicRate };
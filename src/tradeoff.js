@@ -3,11 +3,16 @@
  * @module tradeoff
  */
 
+import { Account as BuyNowPayLaterAccount } from './accounts/buy-now-pay-later.js';
+import { Account as CertificateOfDepositAccount } from './accounts/certificate-of-deposit.js';
 import { Account as CreditCardAccount } from './accounts/credit-card.js';
+import { Account as DeferredInterestLoanAccount } from './accounts/deferred-interest-loan.js';
 import { Account as DepositAccount } from './accounts/deposit.js';
 import { Account as LoanAccount } from './accounts/loan.js';
-import { addMonthsPreserveDay, daysBetween, normalizeDate } from './math/calendar.js';
+import { Account as TreasuryBillAccount } from './accounts/treasury-bill.js';
+import { addDays, addPaymentPeriods, daysBetween, normalizeDate } from './math/calendar.js';
 import { financialCalendar } from './math/constants.js';
+import { Amount } from './math/mini-money.js';
 
 /**
  * TradeoffComparison coordinates scenarios where a borrower keeps cash invested while paying a loan.
@@ -17,7 +22,8 @@ class TradeoffComparison {
   /**
    * Creates a comparison helper.
    * @param {object} [options]
-   * @param {number} [options.periodDays=31] Number of days to simulate between loan payments
+   * @param {number} [options.periodDays=31] Number of days to simulate between monthly loan
+   *  payments in idealized mode
    */
   constructor({ periodDays = 31 } = {}) {
     this.periodDays = periodDays;
@@ -28,96 +34,829 @@ class TradeoffComparison {
    * @param {object} scenario Settings for the comparison
    * @param {number} scenario.principal The purcahse amount that will also be used for loan principal
    * @param {number} scenario.periodCount The number of periods (usually months) to evaluate the loan and deposit
-   *  account
+   *  account, omitted for bnpl plans
+   * @param {string} [scenario.periodType='MONTH'] The loan payment period, one of 'WEEK', 'BIWEEK', 'SEMIMONTH' or
+   *  'MONTH'
    * @param {number} [scenario.loanRate=0] The nominal annual rate for the loan, defaulting to zero, as a decimal
-   * @param {number} [scenario.depositApy] The apy used for deposit account interest accrual
+   * @param {number} [scenario.promoPeriodCount] When provided the loan is modeled as deferred interest promotional
+   *  financing with this many interest free periods, loanRate is then the rate deferred and charged after the promo.
+   *  The promotion can not be combined with the other loan settings, from downPayment through latePayments
+   * @param {{apr: number, introApr: number, introPeriodMonths: number, balanceTransferFee: number,
+   *  balanceTransfer: boolean}} [scenario.introCard] Finances the purchase on a credit card with an introductory APR
+   *  instead of the loan, repaid in equal monthly installments of principal plus interest over periodCount months. A
+   *  balance transfer adds the card's balance transfer fee to the amount repaid. The intro card can not be combined
+   *  with the loan settings, from loanRate through latePayments, a promoPeriodCount or a periodType other than 'MONTH'
+   * @param {{installmentCount: number, periodType: string, lateFee: number, lateFeeGraceDays: number,
+   *  lateFeeCap: number}} [scenario.bnpl] Finances the purchase with an interest free buy now pay later plan instead
+   *  of the loan, by default "pay in 4" with the first installment paid at checkout and the rest every two weeks. The
+   *  plan sets the number and spacing of payments, so it can not be combined with a periodCount, a periodType or the
+   *  loan settings other than the missed and late payments, which apply to its installments
+   * @param {number} [scenario.downPayment=0] Cash paid toward the purchase at signing, reducing the amount loaned
+   * @param {number} [scenario.originationFee=0] Upfront loan fee, a currency amount or a decimal rate when
+   *  originationFeeType is 'PERCENT'
+   * @param {string} [scenario.originationFeeType='FLAT'] Either 'FLAT' or 'PERCENT'
+   * @param {boolean} [scenario.financeFee=false] Rolls the origination fee into the loan instead of paying at signing
+   * @param {string} [scenario.loanAccrualMethod='PERIODIC'] Either 'PERIODIC' or 'DAILY_SIMPLE', daily simple
+   *  interest loans accrue interest between the calendar due dates following startDate
+   * @param {Array<{rate: number, period: number, effectiveDate: (Date|string|number)}>} [scenario.loanRateChanges=[]]
+   *  Variable loan rate changes, by one-based period or by effective date relative to startDate
+   * @param {number} [scenario.loanInterestOnlyPeriodCount=0] Leading loan periods where only interest is paid
+   * @param {number} [scenario.loanAmortizationPeriodCount=periodCount] Periods used to size the loan payment, a
+   *  longer count than periodCount leaves a balloon payment due with the final period
+   * @param {number} [scenario.extraPayment=0] Extra principal paid from the deposit account with every loan payment
+   * @param {Array<{period: number, amount: number}>} [scenario.lumpSums=[]] One-off principal prepayments paid from
+   *  the deposit account, a lump sum without an amount pays off the loan
+   * @param {number} [scenario.prepaymentPenaltyRate=0] Penalty on prepaid principal as a decimal rate
+   * @param {number} [scenario.loanLateFee=0] Fee charged for each late or missed loan payment
+   * @param {number} [scenario.loanLateFeeGraceDays=0] Days a payment can be late before the late fee is charged
+   * @param {number} [scenario.loanPenaltyRate] Nominal annual rate applied once a loan payment is missed
+   * @param {Array<number>} [scenario.missedPayments=[]] Loan periods where the payment is skipped
+   * @param {Array<{period: number, daysLate: number}>} [scenario.latePayments=[]] Loan payments made after their due
+   *  date, which are withdrawn from the deposit account daysLate days after the due date. Late and missed payments
+   *  apply to fixed installment loans and bnpl plans and can not be combined with prepayments
+   * @param {number|Array<{apy: number, period: number, effectiveDate: (Date|string|number)}>} [scenario.depositApy]
+   *  The apy used for deposit account interest accrual, or a timeline of apys each taking effect from the start of a
+   *  one-based loan period or from an effective date. The deposit earns nothing before the first entry of a timeline
+   *  and effective dates require a startDate
+   * @param {string} [scenario.depositPostingFrequency='MONTHLY'] When deposit interest is credited in real world mode,
+   *  one of 'DAILY', 'MONTHLY', 'QUARTERLY' or 'ANNUALLY'
+   * @param {number} [scenario.depositPostingDay] Day of the month deposit interest posts, defaults to month end
+   * @param {number} [scenario.depositOpeningBalance=principal] Cash in the deposit account at the start, less than
+   *  the principal when the account is topped up by recurring transfers
+   * @param {Array<{amount: number, frequency: string, day: number, startDate: (Date|string|number)}>}
+   *  [scenario.depositTransfers=[]] Recurring deposits, such as from each paycheck, repeated every 'WEEK', 'BIWEEK',
+   *  'SEMIMONTH' or 'MONTH' from a zero-based day or a start date, which requires the scenario startDate
+   * @param {{policy: string, fee: number, apr: number, source: {withdraw: Function}}} [scenario.depositOverdraft]
+   *  The deposit account's overdraft policy, one of 'ALLOW', 'REJECT', 'FEE', 'INTEREST' or 'TRANSFER', with its fee,
+   *  negative balance apr and backing source for transfers. Defaults to allowing a negative balance
+   * @param {{balance: number, apy: number, fee: number}} [scenario.depositMinimumBalance] The daily balance the
+   *  deposit account requires to earn the depositApy, with the apy paid below it and the monthly maintenance fee
+   *  charged when the balance falls below it
+   * @param {{termWeeks: number, discountYield: number, bondEquivalentYield: number, apy: number}}
+   *  [scenario.treasuryBill] Holds the cash in rolling treasury bills instead of the deposit account, quoted with
+   *  exactly one yield. The treasury bill account is returned as the depositAccount and can not be combined with a
+   *  depositApy, depositPostingFrequency, depositPostingDay, depositTransfers, depositOverdraft or
+   *  depositMinimumBalance
+   * @param {Array<{amount: number, apy: number, termMonths: number, earlyWithdrawalPenaltyDays: number}>}
+   *  [scenario.certificates=[]] Certificates of deposit bought from the deposit account at the start. Matured
+   *  certificates are swept back into the deposit account, certificates are redeemed early, soonest maturity first,
+   *  when the deposit account can not cover a loan payment, and any still open after the final payment are redeemed.
+   *  Certificates can not total more than the deposit opening balance left after any upfront payment
    * @param {number} [scenario.ccRewardsRate] The decimal percentage rate for calculating comparative credit card
    *  rewards
+   * @param {object} [scenario.ccRewardsProgram] The credit card's points rewards program, as described by the credit
+   *  card account's rewardsProgram option. When provided creditCardRewards is the program's net value for the
+   *  purchase in place of the ccRewardsRate
+   * @param {string} [scenario.ccPurchaseCategory] The purchase's rewards program category
+   * @param {number} [scenario.ccCategorySpend=0] Dollars already spent in the purchase's category this quarter
+   * @param {number} [scenario.ccCardSpend=0] Dollars already spent on the card toward its sign-up bonus
    * @param {number} [scenario.ccRate] The decimal percentage APR for the credit card
-   * @returns {object} The net comparison between loan cost and deposit accruals and the underlying account models
+   * @param {number} [scenario.ccStatementClosingDay=31] Day of the month credit card statements close in real world
+   *  mode
+   * @param {number} [scenario.ccPaymentDueDays=25] Days from a credit card statement closing to its due date
+   * @returns {object} The net comparison between loan cost and deposit accruals and the underlying account models.
+   *  Net is the deposit balance left after the final payment less the cash added beyond the principal, either by an
+   *  opening balance above it or by recurring and overdraft transfers. The shortfall reports the first loan payment
+   *  the deposit account could not cover, with its one-based period, day since the start, calendar date in real world
+   *  mode and uncovered amount. When overdrafts are rejected the simulation stops at the shortfall and net is
+   *  undefined. The minimumBalanceBreach likewise reports the first loan payment that left the deposit balance below
+   *  its minimum balance and depositFees the overdraft and maintenance fees charged. When financed by an introCard
+   *  the loanAccount is undefined and the card's account, repayment schedule, interest and transfer fee are returned.
+   *  With a ccRewardsProgram the program's points, their value, sign-up bonus and annual fee share are returned as
+   *  creditCardProgramRewards. The creditCardInterest is one compounded statement cycle of period days on the
+   *  purchase in both modes, real world mode also returns the creditCardStatementInterest charged on the first
+   *  statement cycle the purchase is carried past its due date. When financed by a bnpl plan the loanAccount is undefined and the plan's account, late
+   *  payment schedule and late fees are returned, so its net can be weighed against the credit card rewards
    */
   simulateScenario({
     principal,
     periodCount,
+    periodType = 'MONTH',
     loanRate = 0,
+    promoPeriodCount,
+    introCard,
+    bnpl,
+    downPayment = 0,
+    originationFee = 0,
+    originationFeeType = 'FLAT',
+    financeFee = false,
+    loanAccrualMethod = 'PERIODIC',
+    loanRateChanges = [],
+    loanInterestOnlyPeriodCount = 0,
+    loanAmortizationPeriodCount = periodCount,
+    extraPayment = 0,
+    lumpSums = [],
+    prepaymentPenaltyRate = 0,
+    loanLateFee = 0,
+    loanLateFeeGraceDays = 0,
+    loanPenaltyRate,
+    missedPayments = [],
+    latePayments = [],
     depositApy,
+    depositPostingFrequency,
+    depositPostingDay,
+    depositOpeningBalance = principal,
+    depositTransfers = [],
+    depositOverdraft = {},
+    depositMinimumBalance = {},
+    treasuryBill,
+    certificates = [],
     ccRewardsRate = 0,
+    ccRewardsProgram,
+    ccPurchaseCategory,
+    ccCategorySpend = 0,
+    ccCardSpend = 0,
     ccRate = 0,
+    ccStatementClosingDay,
+    ccPaymentDueDays,
     mode = 'idealized',
     startDate,
   }) {
-    const normalizedMode = typeof mode === 'string' ? mode.toLowerCase() : 'idealized';
-    const useRealMode = normalizedMode === 'real' || normalizedMode === 'real-world';
-
-    const loanAccount = new LoanAccount(periodCount, 'MONTH', loanRate, principal);
-    const depositAccount = new DepositAccount(principal, depositApy);
-    const creditCardAccount = new CreditCardAccount({ apr: ccRate, rewardsRate: ccRewardsRate });
-    const creditCardRewards = creditCardAccount.calculateRewards(principal);
-    const periodDays = Number.isInteger(this.periodDays)
-      ? this.periodDays
-      : financialCalendar.daysInMonth;
-    const creditCardInterest = creditCardAccount.interestForDays(principal, periodDays);
-
-    const resultNet = useRealMode
+    const useRealMode = this.#isRealMode(mode);
+
+    const hasLoanOptions =
+      downPayment !== 0 ||
+      originationFee !== 0 ||
+      originationFeeType !== 'FLAT' ||
+      financeFee ||
+      loanAccrualMethod !== 'PERIODIC' ||
+      loanRateChanges.length > 0 ||
+      loanInterestOnlyPeriodCount !== 0 ||
+      loanAmortizationPeriodCount !== periodCount ||
+      extraPayment > 0 ||
+      lumpSums.length > 0 ||
+      prepaymentPenaltyRate !== 0 ||
+      loanLateFee !== 0 ||
+      loanLateFeeGraceDays !== 0 ||
+      loanPenaltyRate !== undefined;
+    const hasLoanSettings = loanRate !== 0 || hasLoanOptions;
+    const hasLatePayments = missedPayments.length > 0 || latePayments.length > 0;
+    if (introCard !== undefined && (hasLoanSettings || hasLatePayments)) {
+      throw new Error('Loan settings can not be combined with introCard');
+    }
+    if (introCard !== undefined && (promoPeriodCount !== undefined || periodType !== 'MONTH')) {
+      throw new Error(
+        'introCard can not be combined with promoPeriodCount or a periodType other than MONTH',
+      );
+    }
+    if (bnpl !== undefined && (introCard !== undefined || promoPeriodCount !== undefined)) {
+      throw new Error('bnpl can not be combined with introCard or promoPeriodCount');
+    }
+    if (
+      bnpl !== undefined &&
+      (hasLoanSettings || periodCount !== undefined || periodType !== 'MONTH')
+    ) {
+      throw new Error('Loan settings, periodCount and periodType can not be combined with bnpl');
+    }
+    if (promoPeriodCount !== undefined && (hasLoanOptions || hasLatePayments)) {
+      throw new Error(
+        'Loan settings other than loanRate can not be combined with promoPeriodCount',
+      );
+    }
+    const bnplAccount = bnpl === undefined ? undefined : new BuyNowPayLaterAccount(principal, bnpl);
+    const introCardAccount =
+      introCard === undefined
+        ? undefined
+        : new CreditCardAccount({
+            apr: introCard.apr,
+            introApr: introCard.introApr,
+            introPeriodMonths: introCard.introPeriodMonths,
+            balanceTransferFee: introCard.balanceTransferFee,
+          });
+    const introCardSchedule = introCardAccount?.repaymentSchedule(principal, periodCount, {
+      balanceTransfer: introCard.balanceTransfer,
+    });
+    let loanAccount;
+    if (introCardAccount === undefined && bnplAccount === undefined) {
+      loanAccount =
+        promoPeriodCount === undefined
+          ? new LoanAccount(periodCount, periodType, loanRate, principal, {
+              downPayment,
+              originationFee,
+              originationFeeType,
+              financeFee,
+              accrualMethod: loanAccrualMethod,
+              startDate,
+              rateChanges: loanRateChanges,
+              interestOnlyPeriodCount: loanInterestOnlyPeriodCount,
+              amortizationPeriodCount: loanAmortizationPeriodCount,
+              lateFee: loanLateFee,
+              lateFeeGraceDays: loanLateFeeGraceDays,
+              penaltyRate: loanPenaltyRate,
+            })
+          : new DeferredInterestLoanAccount(
+              periodCount,
+              periodType,
+              loanRate,
+              principal,
+              promoPeriodCount,
+            );
+    }
+    const financingAccount = loanAccount ?? bnplAccount;
+    const financingPeriodType = financingAccount?.periodType ?? periodType;
+    const depositOptions = {
+      startDate,
+      daysInMonth: this.#idealizedMonthDays(),
+      recurringTransfers: depositTransfers,
+      postingFrequency: depositPostingFrequency,
+      postingDay: depositPostingDay,
+      overdraftPolicy: depositOverdraft.policy,
+      overdraftFee: depositOverdraft.fee,
+      overdraftApr: depositOverdraft.apr,
+      overdraftSource: depositOverdraft.source,
+      minimumBalance: depositMinimumBalance.balance,
+      belowMinimumApy: depositMinimumBalance.apy,
+      maintenanceFee: depositMinimumBalance.fee,
+    };
+    if (treasuryBill !== undefined && depositApy !== undefined) {
+      throw new Error('depositApy can not be combined with treasuryBill');
+    }
+    if (
+      treasuryBill !== undefined &&
+      (depositOverdraft.policy !== undefined ||
+        depositMinimumBalance.balance !== undefined ||
+        depositTransfers.length > 0 ||
+        depositPostingFrequency !== undefined ||
+        depositPostingDay !== undefined)
+    ) {
+      throw new Error(
+        'depositOverdraft, depositMinimumBalance, depositTransfers and deposit posting settings can not be combined with treasuryBill',
+      );
+    }
+    let depositAccount;
+    if (treasuryBill !== undefined) {
+      depositAccount = new TreasuryBillAccount(depositOpeningBalance, treasuryBill);
+    } else if (Array.isArray(depositApy)) {
+      depositAccount = new DepositAccount(depositOpeningBalance, 0, {
+        ...depositOptions,
+        rateChanges: this.#depositRateChanges(depositApy, financingPeriodType, {
+          startDate,
+          useRealMode,
+        }),
+      });
+    } else {
+      depositAccount = new DepositAccount(depositOpeningBalance, depositApy, depositOptions);
+    }
+    if (typeof financingAccount?.upfrontPayment === 'function') {
+      // cash due at signing leaves the deposit account before any interest accrues
+      depositAccount.withdraw(financingAccount.upfrontPayment());
+    }
+    const certificateTotal = certificates.reduce(
+      (total, { amount }) => total.addTo(new Amount(amount)),
+      new Amount(0),
+    );
+    if (depositAccount.balance.lessThan(certificateTotal)) {
+      throw new Error(
+        'Certificates can not exceed the deposit balance left after any upfront payment',
+      );
+    }
+    const certificateAccounts = certificates.map(
+      ({ amount, apy, termMonths, earlyWithdrawalPenaltyDays }) => {
+        depositAccount.withdraw(amount);
+        return new CertificateOfDepositAccount(amount, apy, termMonths, {
+          startDate: useRealMode ? startDate : undefined,
+          daysInMonth: this.#idealizedMonthDays(),
+          earlyWithdrawalPenaltyDays,
+        });
+      },
+    );
+    const loanPrepayment =
+      loanAccount instanceof LoanAccount && (extraPayment > 0 || lumpSums.length > 0)
+        ? loanAccount.prepaymentSchedule({
+            extraPayment,
+            lumpSums,
+            prepaymentPenaltyRate,
+          })
+        : undefined;
+    const loanLatePayment =
+      loanAccount instanceof LoanAccount && hasLatePayments
+        ? loanAccount.latePaymentSchedule({ missedPeriods: missedPayments, latePayments })
+        : undefined;
+    if (loanPrepayment !== undefined && loanLatePayment !== undefined) {
+      throw new Error('Prepayments can not be combined with late or missed payments');
+    }
+    const bnplLatePayment =
+      bnplAccount !== undefined && hasLatePayments
+        ? bnplAccount.latePaymentSchedule({ missedPeriods: missedPayments, latePayments })
+        : undefined;
+    const paymentAmounts = this.#paymentAmounts(
+      {
+        loanAccount,
+        introCardSchedule,
+        bnplAccount,
+        loanPrepayment,
+        loanLatePayment,
+        bnplLatePayment,
+      },
+      periodCount,
+    );
+    const daysLateByPeriod = new Map(
+      (loanLatePayment ?? bnplLatePayment) === undefined
+        ? []
+        : latePayments.map(({ period, daysLate }) => [period, daysLate]),
+    );
+    const creditCardAccount = new CreditCardAccount({
+      apr: ccRate,
+      rewardsRate: ccRewardsRate,
+      statementClosingDay: ccStatementClosingDay,
+      paymentDueDays: ccPaymentDueDays,
+      rewardsProgram: ccRewardsProgram,
+    });
+    const creditCardProgramRewards =
+      ccRewardsProgram === undefined
+        ? undefined
+        : creditCardAccount.programRewards(principal, {
+            category: ccPurchaseCategory,
+            categorySpend: ccCategorySpend,
+            cardSpend: ccCardSpend,
+          });
+    const creditCardRewards =
+      creditCardProgramRewards?.net ?? creditCardAccount.calculateRewards(principal);
+
+    const { balance, shortfall, minimumBalanceBreach } = useRealMode
       ? this.#simulateRealWorld({
           depositAccount,
-          loanAccount,
-          periodCount,
+          certificateAccounts,
+          periodType: financingPeriodType,
+          paymentAmounts,
+          daysLateByPeriod,
           startDate,
         })
-      : this.#simulateIdealized({ depositAccount, loanAccount, periodCount });
+      : this.#simulateIdealized({
+          depositAccount,
+          certificateAccounts,
+          periodType: financingPeriodType,
+          paymentAmounts,
+          daysLateByPeriod,
+        });
+    const creditCardInterest = creditCardAccount.interestForDays(
+      principal,
+      this.#idealizedMonthDays(),
+    );
+    const creditCardStatementInterest = useRealMode
+      ? this.#carriedStatementInterest(creditCardAccount, principal, startDate)
+      : undefined;
+    const cashAdded = new Amount(depositOpeningBalance)
+      .subtractFrom(new Amount(principal))
+      .addTo(depositAccount.transfersIn ?? new Amount(0));
+    const net = balance?.subtractFrom(cashAdded);
+    const sumOf = (accounts, key) =>
+      accounts.reduce((total, account) => total.addTo(account[key]), new Amount(0));
 
     return {
       loanAccount,
+      introCardAccount,
+      introCardSchedule,
+      introCardInterest: introCardSchedule && sumOf(introCardSchedule, 'interest'),
+      // the transfer fee is repaid as principal
+      introCardTransferFee:
+        introCardSchedule &&
+        sumOf(introCardSchedule, 'principal').subtractFrom(new Amount(principal)),
+      bnplAccount,
+      bnplLatePayment,
+      bnplLateFees: bnplAccount && (bnplLatePayment?.totalLateFees ?? new Amount(0)),
       depositAccount,
       creditCardAccount,
       creditCardRewards,
+      creditCardProgramRewards,
       creditCardInterest,
+      creditCardStatementInterest,
+      loanPrepayment,
+      loanLatePayment,
       depositInterest: depositAccount.interestAccrued,
-      net: resultNet,
+      certificateAccounts,
+      certificateInterest: sumOf(certificateAccounts, 'interestAccrued'),
+      certificatePenalties: sumOf(certificateAccounts, 'earlyWithdrawalPenalty'),
+      depositFees: depositAccount.feesCharged ?? new Amount(0),
+      shortfall,
+      minimumBalanceBreach,
+      net,
     };
   }
 
-  #simulateIdealized({ depositAccount, loanAccount, periodCount }) {
-    const daysPerPeriod = Number.isInteger(this.periodDays)
-      ? this.periodDays
-      : financialCalendar.daysInMonth;
-    const paymentAmount = loanAccount.payment();
-    for (let i = 0; i < periodCount; i += 1) {
-      depositAccount.accrueForDays(daysPerPeriod);
-      depositAccount.withdraw(paymentAmount);
+  /**
+   * Proposes a ladder of certificates of deposit that fund the loan payments and compares it with leaving the cash
+   * in the deposit account. Each payment gets a rung using the longest term on the yield curve that matures on or
+   * before the payment's due date, sized so the rung's maturity value covers the payment. Cash for payments due before
+   * the shortest term matures is kept in the deposit account, then rungs are bought in due order until the cash left
+   * after any upfront loan costs runs out. Any cash not laddered stays in the deposit account.
+   * @param {object} scenario The simulateScenario settings, certificates are replaced by the proposed ladder
+   * @param {Array<{termMonths: number, apy: number}>} scenario.yieldCurve The available certificate terms and yields
+   * @returns {{rungs: Array<object>, laddered: object, savings: object, ladderYield: Amount, savingsYield: Amount,
+   *  yieldAdvantage: (Amount|undefined), shortfall: (object|undefined)}} The proposed rungs, each with the period
+   *  funded, termMonths, apy, amount bought and maturityValue, the simulateScenario results with and without the
+   *  ladder, the interest earned by each and the difference in net between them. When rejected overdrafts stop either
+   *  run at a shortfall there is no net to compare, so yieldAdvantage is undefined and the shortfall is returned, the
+   *  laddered run's when it has one
+   */
+  simulateLadder({ yieldCurve, ...scenario }) {
+    if (!Array.isArray(yieldCurve) || yieldCurve.length === 0) {
+      throw new Error('Yield curve must include at least one term');
+    }
+
+    const savings = this.simulateScenario({ ...scenario, certificates: [] });
+    const financingAccount = savings.loanAccount ?? savings.bnplAccount;
+    const paymentAmounts = this.#paymentAmounts(savings, scenario.periodCount);
+    const startDate = this.#isRealMode(scenario.mode) ? scenario.startDate : undefined;
+    const dueDays = this.#paymentDueDays(
+      financingAccount?.periodType ?? 'MONTH',
+      paymentAmounts.length,
+      startDate,
+    );
+    const terms = yieldCurve
+      .map(
+        ({ termMonths, apy }) =>
+          new CertificateOfDepositAccount(0, apy, termMonths, {
+            startDate,
+            daysInMonth: this.#idealizedMonthDays(),
+          }),
+      )
+      .sort((left, right) => right.termDays - left.termDays);
+
+    const fixedZero = new Amount(0);
+    let availableCash = new Amount(scenario.depositOpeningBalance ?? scenario.principal);
+    if (typeof financingAccount?.upfrontPayment === 'function') {
+      availableCash = availableCash.subtractFrom(financingAccount.upfrontPayment());
+    }
+    const rungTerms = dueDays.map((dueDay) => terms.find(({ termDays }) => termDays <= dueDay));
+    for (const [index, term] of rungTerms.entries()) {
+      if (term === undefined) {
+        availableCash = availableCash.subtractFrom(paymentAmounts[index]);
+      }
+    }
+
+    const rungs = [];
+    for (const [index, payment] of paymentAmounts.entries()) {
+      const term = rungTerms[index];
+      if (
+        term === undefined ||
+        !fixedZero.lessThan(payment) ||
+        !fixedZero.lessThan(availableCash)
+      ) {
+        continue;
+      }
+      const growth = new Amount(1)
+        .addTo(term.apy)
+        .nthRoot(financialCalendar.daysInYear)
+        .pow(term.termDays);
+      const requiredAmount = payment.divideBy(growth, { roundingMode: 'conventional' });
+      const amount = availableCash.lessThan(requiredAmount) ? availableCash : requiredAmount;
+      availableCash = availableCash.subtractFrom(amount);
+      rungs.push({
+        period: index + 1,
+        termMonths: term.termMonths,
+        apy: term.apy,
+        amount,
+        maturityValue: amount.multiplyBy(growth, { roundingMode: 'bankers' }),
+      });
     }
 
-    return depositAccount.balance;
+    const laddered = this.simulateScenario({
+      ...scenario,
+      certificates: rungs.map(({ amount, apy, termMonths }) => ({
+        amount,
+        apy,
+        termMonths,
+      })),
+    });
+    const ladderYield = laddered.certificateInterest
+      .addTo(laddered.depositInterest)
+      .subtractFrom(laddered.certificatePenalties);
+
+    return {
+      rungs,
+      laddered,
+      savings,
+      ladderYield,
+      savingsYield: savings.depositInterest,
+      yieldAdvantage:
+        laddered.net === undefined || savings.net === undefined
+          ? undefined
+          : laddered.net.subtractFrom(savings.net),
+      shortfall: laddered.shortfall ?? savings.shortfall,
+    };
+  }
+
+  #isRealMode(mode) {
+    const normalizedMode = typeof mode === 'string' ? mode.toLowerCase() : 'idealized';
+    return normalizedMode === 'real' || normalizedMode === 'real-world';
+  }
+
+  /**
+   * Returns the number of days from the start of the simulation to each payment's due date, on the calendar when a
+   * start date is provided and in idealized periods otherwise.
+   */
+  #paymentDueDays(periodType, paymentCount, startDate) {
+    if (startDate !== undefined) {
+      const anchorDate = normalizeDate(startDate);
+      return this.#buildPaymentSchedule(anchorDate, paymentCount, periodType).map((dueDate) =>
+        daysBetween(anchorDate, dueDate),
+      );
+    }
+
+    let dueDay = 0;
+    return Array.from({ length: paymentCount }, (_, index) => {
+      dueDay += this.#idealizedPeriodDays(periodType, index);
+      return dueDay;
+    });
+  }
+
+  /**
+   * Simulates idealized periods, withdrawing each payment at the end of its period, or daysLate days after it for late
+   * payments, in the order the payments are made.
+   */
+  #simulateIdealized({
+    depositAccount,
+    certificateAccounts,
+    periodType,
+    paymentAmounts,
+    daysLateByPeriod,
+  }) {
+    let dueDay = 0;
+    const payments = paymentAmounts
+      .map((paymentAmount, index) => {
+        dueDay += this.#idealizedPeriodDays(periodType, index);
+        const period = index + 1;
+        return { period, day: dueDay + (daysLateByPeriod.get(period) ?? 0), paymentAmount };
+      })
+      .sort((left, right) => left.day - right.day);
+
+    let day = 0;
+    let shortfall;
+    let minimumBalanceBreach;
+    for (const { paymentAmount, ...payment } of payments) {
+      this.#accrueAccounts({ depositAccount, certificateAccounts, days: payment.day - day });
+      day = payment.day;
+      const paymentShortfall = this.#payLoan({
+        depositAccount,
+        certificateAccounts,
+        paymentAmount,
+        ...payment,
+      });
+      shortfall ??= paymentShortfall;
+      minimumBalanceBreach ??= this.#minimumBalanceBreach(depositAccount, payment);
+      if (paymentShortfall !== undefined && this.#rejectsOverdrafts(depositAccount)) {
+        return { balance: undefined, shortfall, minimumBalanceBreach };
+      }
+    }
+    this.#redeemCertificates(depositAccount, certificateAccounts);
+
+    return { balance: depositAccount.balance, shortfall, minimumBalanceBreach };
   }
 
-  #simulateRealWorld({ depositAccount, loanAccount, periodCount, startDate }) {
+  /**
+   * Simulates calendar periods, withdrawing each payment on its due date, or daysLate days after it for late payments,
+   * in the order the payments are made.
+   */
+  #simulateRealWorld({
+    depositAccount,
+    certificateAccounts,
+    periodType,
+    paymentAmounts,
+    daysLateByPeriod,
+    startDate,
+  }) {
     if (!startDate) {
       throw new Error('startDate is required for real world mode');
     }
 
     const anchorDate = normalizeDate(startDate);
-    const paymentAmount = loanAccount.payment();
-    const schedule = this.#buildPaymentSchedule(anchorDate, periodCount);
+    const payments = this.#buildPaymentSchedule(anchorDate, paymentAmounts.length, periodType)
+      .map((dueDate, index) => {
+        const period = index + 1;
+        const date = addDays(dueDate, daysLateByPeriod.get(period) ?? 0);
+        return {
+          period,
+          day: daysBetween(anchorDate, date),
+          date,
+          paymentAmount: paymentAmounts[index],
+        };
+      })
+      .sort((left, right) => left.day - right.day);
 
     let accrualStart = anchorDate;
-    for (const dueDate of schedule) {
-      const daysUntilDue = daysBetween(accrualStart, dueDate);
-      if (daysUntilDue < 0) {
-        throw new Error('Payment schedule produced an invalid date ordering');
+    let shortfall;
+    let minimumBalanceBreach;
+    for (const { paymentAmount, ...payment } of payments) {
+      this.#accrueAccounts({
+        depositAccount,
+        certificateAccounts,
+        days: daysBetween(accrualStart, payment.date),
+        startDate: accrualStart,
+      });
+      const paymentShortfall = this.#payLoan({
+        depositAccount,
+        certificateAccounts,
+        paymentAmount,
+        ...payment,
+      });
+      shortfall ??= paymentShortfall;
+      minimumBalanceBreach ??= this.#minimumBalanceBreach(depositAccount, payment);
+      if (paymentShortfall !== undefined && this.#rejectsOverdrafts(depositAccount)) {
+        return { balance: undefined, shortfall, minimumBalanceBreach };
       }
-      depositAccount.accrueForDaysWithMonthlyPosting(daysUntilDue, accrualStart);
+      accrualStart = payment.date;
+    }
+    this.#redeemCertificates(depositAccount, certificateAccounts);
+
+    return { balance: depositAccount.balance, shortfall, minimumBalanceBreach };
+  }
+
+  /**
+   * Pays a loan payment from the deposit account, first breaking certificates if needed. Returns the shortfall when
+   * the available balance can not cover the payment, in which case the payment is left unpaid if the deposit account
+   * rejects overdrafts and otherwise handled by its overdraft policy.
+   */
+  #payLoan({ depositAccount, certificateAccounts, paymentAmount, period, day, date }) {
+    this.#fundPayment(depositAccount, certificateAccounts, paymentAmount);
+
+    const uncovered = depositAccount.shortfallFor(paymentAmount);
+    const shortfall = new Amount(0).lessThan(uncovered)
+      ? { period, day, date, amount: uncovered }
+      : undefined;
+    if (shortfall === undefined || !this.#rejectsOverdrafts(depositAccount)) {
       depositAccount.withdraw(paymentAmount);
-      accrualStart = dueDate;
     }
 
-    return depositAccount.balance;
+    return shortfall;
+  }
+
+  /**
+   * Returns the payment with the deposit balance it left when that balance is below the deposit account's minimum
+   * balance, accounts without a minimum balance are never breached.
+   */
+  #minimumBalanceBreach(depositAccount, { period, day, date }) {
+    const { balance, minimumBalance = new Amount(0) } = depositAccount;
+    return new Amount(0).lessThan(minimumBalance) && balance.lessThan(minimumBalance)
+      ? { period, day, date, balance }
+      : undefined;
+  }
+
+  /**
+   * Returns the interest on the first statement after the purchase that charges interest, when the purchase is made
+   * on the start date and its statement balance is not paid by the due date. The purchase's own cycle is covered by
+   * the grace period, so interest is charged on the following cycle's average daily balance.
+   */
+  #carriedStatementInterest(creditCardAccount, principal, startDate) {
+    const [, carriedStatement] = creditCardAccount.statementCycles({
+      startDate,
+      cycleCount: 2,
+      purchases: [{ date: startDate, amount: principal }],
+    });
+
+    return carriedStatement.interest;
+  }
+
+  #rejectsOverdrafts(depositAccount) {
+    return depositAccount.overdraftPolicy === 'REJECT';
+  }
+
+  /**
+   * Accrues the deposit account and open certificates over a span, splitting the span at each certificate maturity so
+   * matured proceeds are swept into the deposit account and earn its yield for the rest of the span. Calendar
+   * accrual is used when a start date is provided.
+   */
+  #accrueAccounts({ depositAccount, certificateAccounts, days, startDate }) {
+    let remainingDays = days;
+    let spanStart = startDate;
+    while (remainingDays > 0) {
+      const openCertificates = certificateAccounts.filter(
+        (certificate) => !certificate.isRedeemed && !certificate.isMatured,
+      );
+      const spanDays = Math.min(
+        remainingDays,
+        ...openCertificates.map(({ daysToMaturity }) => daysToMaturity),
+      );
+      for (const account of [depositAccount, ...openCertificates]) {
+        if (spanStart === undefined) {
+          account.accrueForDays(spanDays);
+        } else {
+          account.accrueForDaysWithPosting(spanDays, spanStart);
+        }
+      }
+      this.#redeemCertificates(
+        depositAccount,
+        openCertificates.filter(({ isMatured }) => isMatured),
+      );
+
+      remainingDays -= spanDays;
+      spanStart = spanStart === undefined ? undefined : addDays(spanStart, spanDays);
+    }
+  }
+
+  #fundPayment(depositAccount, certificateAccounts, paymentAmount) {
+    const openCertificates = certificateAccounts
+      .filter(({ isRedeemed }) => !isRedeemed)
+      .sort((left, right) => left.daysToMaturity - right.daysToMaturity);
+    for (const certificate of openCertificates) {
+      if (!depositAccount.balance.lessThan(paymentAmount)) {
+        return;
+      }
+      this.#redeemCertificates(depositAccount, [certificate]);
+    }
+  }
+
+  #redeemCertificates(depositAccount, certificateAccounts) {
+    for (const certificate of certificateAccounts) {
+      if (!certificate.isRedeemed) {
+        depositAccount.deposit(certificate.redeem());
+      }
+    }
+  }
+
+  /**
+   * Loans withdraw each payment from their amortization schedule, so a fixed installment loan's rounded final payment
+   * matches the schedule and its total interest. A revised schedule, from prepayments or late and missed payments,
+   * takes precedence. Prepaid loans are still simulated over the full term so the comparison horizon does not change,
+   * with nothing withdrawn once the loan is paid off. Intro APR cards and bnpl plans, which stand in for the loan,
+   * withdraw each payment from their own schedule.
+   */
+  #paymentAmounts(
+    {
+      loanAccount,
+      introCardSchedule,
+      bnplAccount,
+      loanPrepayment,
+      loanLatePayment,
+      bnplLatePayment,
+    },
+    periodCount,
+  ) {
+    if (introCardSchedule !== undefined) {
+      return introCardSchedule.map(({ payment }) => payment);
+    }
+    if (bnplAccount !== undefined) {
+      return (bnplLatePayment?.schedule ?? bnplAccount.amortizationSchedule()).map(
+        ({ payment }) => payment,
+      );
+    }
+
+    const revisedSchedule = loanPrepayment ?? loanLatePayment;
+    if (revisedSchedule !== undefined) {
+      return Array.from(
+        { length: periodCount },
+        (_, index) => revisedSchedule.schedule[index]?.payment ?? new Amount(0),
+      );
+    }
+
+    return loanAccount.amortizationSchedule().map(({ payment }) => payment);
+  }
+
+  /**
+   * Maps a deposit apy timeline keyed by loan period onto days of deposit accrual, using the same period lengths as
+   * the simulation. Entries with an effective date are left for the deposit account to place on the calendar.
+   */
+  #depositRateChanges(timeline, periodType, { startDate, useRealMode }) {
+    return timeline.map(({ apy, period, effectiveDate }) => {
+      if (effectiveDate !== undefined) {
+        return { apy, effectiveDate };
+      }
+      if (!Number.isInteger(period) || period <= 0) {
+        throw new Error('Deposit apy period must be a positive integer');
+      }
+      if (useRealMode && startDate) {
+        const anchorDate = normalizeDate(startDate);
+        return {
+          apy,
+          day: daysBetween(anchorDate, addPaymentPeriods(anchorDate, periodType, period - 1)),
+        };
+      }
+      let day = 0;
+      for (let index = 0; index < period - 1; index += 1) {
+        day += this.#idealizedPeriodDays(periodType, index);
+      }
+      return { apy, day };
+    });
+  }
+
+  #idealizedMonthDays() {
+    return Number.isInteger(this.periodDays) ? this.periodDays : financialCalendar.daysInMonth;
+  }
+
+  /**
+   * Idealized periods are fixed length. Monthly periods use the configured period days, weekly periods use calendar
+   * weeks and semi-monthly periods split the idealized month into two halves with the longer half second.
+   */
+  #idealizedPeriodDays(periodType, periodIndex) {
+    const daysPerMonth = this.#idealizedMonthDays();
+    switch (periodType) {
+      case 'WEEK':
+        return financialCalendar.daysInWeek;
+      case 'BIWEEK':
+        return financialCalendar.daysInWeek * 2;
+      case 'SEMIMONTH': {
+        const firstHalf = Math.floor(daysPerMonth / 2);
+        return periodIndex % 2 === 0 ? firstHalf : daysPerMonth - firstHalf;
+      }
+      default:
+        return daysPerMonth;
+    }
   }
 
-  #buildPaymentSchedule(startDate, periodCount) {
+  #buildPaymentSchedule(startDate, periodCount, periodType = 'MONTH') {
     const schedule = [];
     for (let i = 1; i <= periodCount; i += 1) {
-      schedule.push(addMonthsPreserveDay(startDate, i));
+      schedule.push(addPaymentPeriods(startDate, periodType, i));
     }
     return schedule;
   }
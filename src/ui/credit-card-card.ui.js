@@ -2,7 +2,7 @@ import { LitElement, html } from 'lit';
 
 import { Account as CreditCardAccount } from '../accounts/credit-card.js';
 
-import { parseFloatNumber, formatMaybeCurrency } from './formatting.ui.js';
+import { parseFloatNumber, formatMaybeCurrency, formatMinimumPayoff } from './formatting.ui.js';
 import { tradeoffWidgetStyles } from './tradeoff-widget.styles.js';
 
 const DEFAULT_CC_RATE_PERCENT = 28.99;
@@ -16,6 +16,8 @@ class CreditCardCard extends LitElement {
     ccRewardsRateInput: { state: true },
     rewardsValue: { state: true },
     interestValue: { state: true },
+    minimumPayoffInterestValue: { state: true },
+    minimumPayoffMonths: { state: true },
   };
 
   constructor() {
@@ -27,6 +29,8 @@ class CreditCardCard extends LitElement {
     this.ccRewardsRateInput = '';
     this.rewardsValue = Number.NaN;
     this.interestValue = Number.NaN;
+    this.minimumPayoffInterestValue = Number.NaN;
+    this.minimumPayoffMonths = undefined;
   }
 
   updated(changed) {
@@ -38,6 +42,11 @@ class CreditCardCard extends LitElement {
   render() {
     const rewardsText = formatMaybeCurrency(this.rewardsValue, this.currency);
     const interestText = formatMaybeCurrency(this.interestValue, this.currency);
+    const minimumPayoffText = formatMinimumPayoff(
+      this.minimumPayoffInterestValue,
+      this.minimumPayoffMonths,
+      this.currency,
+    );
 
     return html`
       <div class="option-card card-card">
@@ -91,6 +100,10 @@ class CreditCardCard extends LitElement {
             <span class="label">Example One Statement Cycle Interest:</span>
             <span data-role="cc-interest">${interestText}</span>
           </p>
+          <p>
+            <span class="label">Paying only the minimum:</span>
+            <span data-role="cc-minimum-payoff">${minimumPayoffText}</span>
+          </p>
         </div>
       </div>
     `;
@@ -110,12 +123,16 @@ class CreditCardCard extends LitElement {
     if (!parsed) {
       this.rewardsValue = Number.NaN;
       this.interestValue = Number.NaN;
+      this.minimumPayoffInterestValue = Number.NaN;
+      this.minimumPayoffMonths = undefined;
       this._emitChange({ valid: false });
       return;
     }
 
     this.rewardsValue = parsed.rewardsValue;
     this.interestValue = parsed.interestValue;
+    this.minimumPayoffInterestValue = parsed.minimumPayoffInterestValue;
+    this.minimumPayoffMonths = parsed.minimumPayoffMonths;
 
     this._emitChange({
       valid: true,
@@ -125,6 +142,8 @@ class CreditCardCard extends LitElement {
       ccAccount: parsed.ccAccount,
       rewardsValue: parsed.rewardsValue,
       interestValue: parsed.interestValue,
+      minimumPayoffInterestValue: parsed.minimumPayoffInterestValue,
+      minimumPayoffMonths: parsed.minimumPayoffMonths,
     });
   }
 
@@ -154,12 +173,15 @@ class CreditCardCard extends LitElement {
           ? ccAccount.interestForDays(this.principal)
           : ccAccount.interestForDays(this.principal, days)
       ).toDecimal();
+      const minimumPayoff = ccAccount.minimumPaymentSchedule(this.principal);
       return {
         ccAccount,
         ccRewardsRate,
         ccRate,
         rewardsValue: rewards,
         interestValue: interest,
+        minimumPayoffInterestValue: minimumPayoff.totalInterest.toDecimal(),
+        minimumPayoffMonths: minimumPayoff.payoffMonth,
       };
     } catch {
       return null;
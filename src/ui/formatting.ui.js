@@ -26,6 +26,21 @@ function formatMaybeCurrency(value, currency = 'USD') {
   return formatted;
 }
 
+/**
+ * @function formatMinimumPayoff
+ * @param {number} interest The interest paid over the payoff
+ * @param {number} months The number of months to pay off the balance
+ * @param {string} currency Optional currency identifier for formatting
+ * @returns {string} Formatted string
+ */
+function formatMinimumPayoff(interest, months, currency = 'USD') {
+  if (!Number.isFinite(interest) || !Number.isInteger(months)) {
+    return '—';
+  }
+  const monthsText = months === 1 ? '1 month' : `${months} months`;
+  return `${formatMaybeCurrency(interest, currency)} interest over ${monthsText}`;
+}
+
 /**
  * @function parseFloatNumber
  * @param {object|string} value Value to parse to float number
@@ -39,4 +54,4 @@ function parseFloatNumber(value) {
   return Number.isFinite(parsed) ? parsed : null;
 }
 
-export { formatMaybeCurrency, parseFloatNumber };
+export { formatMaybeCurrency, formatMinimumPayoff, parseFloatNumber };
@@ -1,7 +1,7 @@
 import { LitElement, html } from 'lit';
 
 import { Account as DepositAccount } from '../accounts/deposit.js';
-import { Account as LoanAccount } from '../accounts/loan.js';
+import { Account as LoanAccount, solveRate } from '../accounts/loan.js';
 import { TradeoffComparison } from '../tradeoff.js';
 
 import { parseFloatNumber, formatMaybeCurrency } from './formatting.ui.js';
@@ -17,6 +17,7 @@ class LoanSavingsCard extends LitElement {
     results: { type: Object },
     loanRateInput: { state: true },
     termMonthsInput: { state: true },
+    paymentInput: { state: true },
     apyInput: { state: true },
     paymentValue: { state: true },
     interestValue: { state: true },
@@ -32,6 +33,7 @@ class LoanSavingsCard extends LitElement {
     this.results = {};
     this.loanRateInput = '';
     this.termMonthsInput = '';
+    this.paymentInput = '';
     this.apyInput = '';
     this.paymentValue = Number.NaN;
     this.interestValue = Number.NaN;
@@ -77,8 +79,11 @@ class LoanSavingsCard extends LitElement {
         <div class="field-group">
           <p class="group-label">Term Loan Information</p>
           <div class="field">
-            <label for="loanRate">Loan Nominal Annual Rate*</label>
-            <p class="helper">Enter 0% for promotional offers.</p>
+            <label for="loanRate">Loan Nominal Annual Rate</label>
+            <p class="helper">
+              Enter 0% for promotional offers. Leave blank to solve the rate from the monthly
+              payment below.
+            </p>
             <input
               id="loanRate"
               name="loanRate"
@@ -108,6 +113,22 @@ class LoanSavingsCard extends LitElement {
               required
             />
           </div>
+
+          <div class="field">
+            <label for="payment">Quoted monthly payment</label>
+            <p class="helper">From the checkout screen, used when no rate is entered.</p>
+            <input
+              id="payment"
+              name="payment"
+              type="number"
+              step="0.01"
+              inputmode="decimal"
+              min="0"
+              placeholder="e.g. 89.99"
+              .value=${this.paymentInput}
+              @input=${this._onLoanInput}
+            />
+          </div>
         </div>
 
         <div class="mini-results">
@@ -164,8 +185,8 @@ class LoanSavingsCard extends LitElement {
             ? null
             : html`
                 <p class="muted helper">
-                  We'll calculate savings on your loan payments once you enter a loan rate on the
-                  left.
+                  We'll calculate savings on your loan payments once you enter a loan rate or a
+                  quoted monthly payment on the left.
                 </p>
               `}
         </div>
@@ -263,15 +284,23 @@ class LoanSavingsCard extends LitElement {
 
     const termMonths = this._parseInteger(this.termMonthsInput);
     const ratePercent = parseFloatNumber(this.loanRateInput);
-    if (termMonths === null || ratePercent === null) {
+    const quotedPayment = parseFloatNumber(this.paymentInput);
+    if (termMonths === null || (ratePercent === null && quotedPayment === null)) {
       return null;
     }
-    if (termMonths <= 0 || ratePercent < 0) {
+    if (termMonths <= 0 || (ratePercent !== null && ratePercent < 0)) {
       return null;
     }
 
-    const loanRate = ratePercent / 100;
     try {
+      const loanRate =
+        ratePercent === null
+          ? solveRate({
+              principal: this.principal,
+              periodCount: termMonths,
+              payment: quotedPayment,
+            }).toDecimal()
+          : ratePercent / 100;
       const loanAccount = new LoanAccount(termMonths, 'MONTH', loanRate, this.principal);
       const payment = loanAccount.payment().toDecimal();
       const totalInterest = loanAccount.totalInterest().toDecimal();
@@ -2,7 +2,7 @@ import { LitElement, html } from 'lit';
 
 import './loan-savings-card.ui.js';
 import './credit-card-card.ui.js';
-import { formatMaybeCurrency } from './formatting.ui.js';
+import { formatMaybeCurrency, formatMinimumPayoff } from './formatting.ui.js';
 import { tradeoffWidgetStyles } from './tradeoff-widget.styles.js';
 
 const EMPTY_METRICS = Object.freeze({
@@ -14,6 +14,8 @@ const EMPTY_METRICS = Object.freeze({
   cardRewards: Number.NaN,
   cardInterest: Number.NaN,
   cardNetCost: Number.NaN,
+  cardMinimumPayoffInterest: Number.NaN,
+  cardMinimumPayoffMonths: undefined,
 });
 
 class TradeoffWidget extends LitElement {
@@ -131,9 +133,11 @@ class TradeoffWidget extends LitElement {
     const ccData = this._ccData?.valid ? this._ccData : null;
     const cardRewardsValue = ccData?.rewardsValue ?? Number.NaN;
     const cardInterestValue = ccData?.interestValue ?? Number.NaN;
+    const cardMinimumPayoffInterest = ccData?.minimumPayoffInterestValue ?? Number.NaN;
+    const cardMinimumPayoffMonths = ccData?.minimumPayoffMonths;
     const cardNetCost =
-      Number.isFinite(cardInterestValue) && Number.isFinite(cardRewardsValue)
-        ? cardInterestValue - cardRewardsValue
+      Number.isFinite(cardMinimumPayoffInterest) && Number.isFinite(cardRewardsValue)
+        ? cardMinimumPayoffInterest - cardRewardsValue
         : Number.NaN;
 
     this.metrics = {
@@ -145,6 +149,8 @@ class TradeoffWidget extends LitElement {
       cardRewards: cardRewardsValue,
       cardInterest: cardInterestValue,
       cardNetCost,
+      cardMinimumPayoffInterest,
+      cardMinimumPayoffMonths,
     };
 
     this._emitChange({
@@ -155,6 +161,8 @@ class TradeoffWidget extends LitElement {
       netValue: loanSavings?.netValue,
       creditCardRewards: cardRewardsValue,
       creditCardInterest: cardInterestValue,
+      creditCardMinimumPayoffInterest: cardMinimumPayoffInterest,
+      creditCardMinimumPayoffMonths: cardMinimumPayoffMonths,
     });
   }
 
@@ -256,7 +264,11 @@ class TradeoffWidget extends LitElement {
     const loanInterestText = formatMaybeCurrency(metrics.loanInterest, this.currency);
     const loanSavingsCostText = formatMaybeCurrency(metrics.loanSavingsCost, this.currency);
     const ccRewardsText = formatMaybeCurrency(metrics.cardRewards, this.currency);
-    const ccInterestText = formatMaybeCurrency(metrics.cardInterest, this.currency);
+    const ccMinimumPayoffText = formatMinimumPayoff(
+      metrics.cardMinimumPayoffInterest,
+      metrics.cardMinimumPayoffMonths,
+      this.currency,
+    );
 
     return html`
       <section class="solar-card summary-card">
@@ -268,8 +280,8 @@ class TradeoffWidget extends LitElement {
           <p><span class="bullet-label">Plain loan cost:</span> ${loanInterestText}</p>
           <p><span class="bullet-label">Credit reward:</span> <span>${ccRewardsText}</span></p>
           <p>
-            <span class="bullet-label">One cycle credit card cost if not paid:</span>
-            <span>${ccInterestText}</span>
+            <span class="bullet-label">Credit card cost paying only the minimum:</span>
+            <span data-role="cc-minimum-payoff">${ccMinimumPayoffText}</span>
           </p>
         </div>
       </section>
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+
+import { Account } from '../../src/accounts/buy-now-pay-later.js';
+
+describe('buy now pay later Account', () => {
+  const summarize = (schedule) =>
+    schedule.map(({ payment, principal, balance }) => [
+      payment.toDecimal(),
+      principal.toDecimal(),
+      balance.toDecimal(),
+    ]);
+
+  describe('constructor', () => {
+    it('defaults to four biweekly installments', () => {
+      const account = new Account(400);
+
+      expect(account.installmentCount).toBe(4);
+      expect(account.periodType).toBe('BIWEEK');
+    });
+
+    it('validates the plan settings', () => {
+      expect(() => new Account(0)).toThrow('Principal must be greater than zero');
+      expect(() => new Account(400, { installmentCount: 1 })).toThrow(
+        'Installment count must be an integer of at least 2',
+      );
+      expect(() => new Account(400, { periodType: 'YEAR' })).toThrow('Unsupported period type');
+      expect(() => new Account(400, { lateFee: -8 })).toThrow('Late fee must be zero or greater');
+      expect(() => new Account(400, { lateFeeCap: -0.25 })).toThrow(
+        'Late fee cap must be zero or greater',
+      );
+    });
+  });
+
+  describe('when every installment is paid on time', () => {
+    it('charges the first installment at checkout with any rounding remainder', () => {
+      const account = new Account(100.02);
+
+      expect(account.upfrontPayment().toDecimal()).toBe(25.02);
+      expect(account.payment().toDecimal()).toBe(25);
+      expect(summarize(account.amortizationSchedule())).toEqual([
+        [25, 25, 50],
+        [25, 25, 25],
+        [25, 25, 0],
+      ]);
+      expect(
+        account.amortizationSchedule().every(({ interest }) => interest.toDecimal() === 0),
+      ).toBe(true);
+    });
+  });
+
+  describe('latePaymentSchedule', () => {
+    it('charges late fees after the grace days and rolls missed installments into the next', () => {
+      const account = new Account(400, { lateFee: 8, lateFeeGraceDays: 1 });
+
+      const { schedule, totalLateFees, additionalCost } = account.latePaymentSchedule({
+        missedPeriods: [1],
+        latePayments: [
+          { period: 2, daysLate: 1 },
+          { period: 3, daysLate: 3 },
+        ],
+      });
+
+      expect(summarize(schedule)).toEqual([
+        [0, 0, 308],
+        [208, 208, 100],
+        [108, 100, 0],
+      ]);
+      expect(schedule.map(({ lateFee, missed }) => [lateFee.toDecimal(), missed])).toEqual([
+        [8, true],
+        [0, false],
+        [8, false],
+      ]);
+      expect(totalLateFees.toDecimal()).toBe(16);
+      expect(additionalCost.toDecimal()).toBe(16);
+    });
+
+    it('stops charging late fees once the cap is reached', () => {
+      const account = new Account(40, { lateFee: 8, lateFeeCap: 0.25 });
+
+      const { schedule, totalLateFees } = account.latePaymentSchedule({
+        latePayments: [
+          { period: 1, daysLate: 5 },
+          { period: 2, daysLate: 5 },
+        ],
+      });
+
+      expect(schedule.map(({ lateFee }) => lateFee.toDecimal())).toEqual([8, 2, 0]);
+      expect(totalLateFees.toDecimal()).toBe(10);
+    });
+
+    it('rejects missed final installments and invalid late payments', () => {
+      const account = new Account(400, { lateFee: 8 });
+
+      expect(() => account.latePaymentSchedule({ missedPeriods: [3] })).toThrow(
+        'Missed period must be within the plan and before the final installment',
+      );
+      expect(() =>
+        account.latePaymentSchedule({ latePayments: [{ period: 4, daysLate: 2 }] }),
+      ).toThrow('Late payment period must be within the plan');
+      expect(() =>
+        account.latePaymentSchedule({ latePayments: [{ period: 1, daysLate: -1 }] }),
+      ).toThrow('Days late must be a non-negative integer');
+    });
+  });
+});
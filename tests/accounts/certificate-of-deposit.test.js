@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+
+import { Account } from '../../src/accounts/certificate-of-deposit.js';
+import { Amount } from '../../src/math/mini-money.js';
+
+describe('certificate of deposit Account', () => {
+  describe('constructor', () => {
+    it('finds the maturity date and term days from the start date', () => {
+      const account = new Account(10000, 0.05, 6, { startDate: '2025-01-31' });
+
+      expect(account.maturityDate.toISOString().slice(0, 10)).toBe('2025-07-31');
+      expect(account.termDays).toBe(181);
+      expect(account.daysToMaturity).toBe(181);
+      expect(account.earlyWithdrawalPenaltyDays).toBe(90);
+    });
+
+    it('measures the term in idealized months without a start date', () => {
+      const account = new Account(10000, 0.05, 12);
+
+      expect(account.maturityDate).toBeUndefined();
+      expect(account.termDays).toBe(372);
+      expect(new Account(10000, 0.05, 12, { daysInMonth: 30 }).termDays).toBe(360);
+    });
+
+    it.each([
+      { label: 'zero term', args: [1000, 0.05, 0] },
+      { label: 'fractional term', args: [1000, 0.05, 1.5] },
+      { label: 'negative principal', args: [-1000, 0.05, 6] },
+      { label: 'negative apy', args: [1000, -0.05, 6] },
+      { label: 'negative penalty days', args: [1000, 0.05, 6, { earlyWithdrawalPenaltyDays: -1 }] },
+    ])('rejects invalid terms (%s)', ({ args }) => {
+      expect(() => new Account(...args)).toThrow();
+    });
+  });
+
+  describe('accrual', () => {
+    it('stops accruing at maturity', () => {
+      const account = new Account(10000, 0.05, 6);
+
+      account.accrueForDays(400);
+
+      expect(account.isMatured).toBe(true);
+      expect(account.balance.toDecimal()).toBeCloseTo(10000 * 1.05 ** (186 / 365), 2);
+    });
+
+    it('credits interest on the maturity date when accruing over calendar dates', () => {
+      const account = new Account(10000, 0.05, 6, { startDate: '2025-01-01' });
+
+      account.accrueForDaysWithPosting(180, '2025-01-01');
+      expect(account.balance.toDecimal()).toBe(10000);
+      account.accrueForDaysWithPosting(30, '2025-06-30');
+
+      expect(account.isMatured).toBe(true);
+      expect(account.balance.toDecimal()).toBeCloseTo(10000 * 1.05 ** (181 / 365), 2);
+      expect(account.interestAccrued.toDecimal()).toBeCloseTo(244.9, 2);
+    });
+
+    it('requires a start date for calendar accrual', () => {
+      const account = new Account(10000, 0.05, 6);
+
+      expect(() => account.accrueForDaysWithPosting(30, '2025-01-01')).toThrow(/startDate/);
+    });
+  });
+
+  describe('redeem', () => {
+    it('pays the full balance without penalty at maturity', () => {
+      const account = new Account(10000, 0.05, 6, { startDate: '2025-01-01' });
+      account.accrueForDaysWithPosting(181, '2025-01-01');
+
+      const proceeds = account.redeem();
+
+      expect(proceeds).toBeInstanceOf(Amount);
+      expect(proceeds.toDecimal()).toBeCloseTo(10244.9, 2);
+      expect(account.earlyWithdrawalPenalty.toDecimal()).toBe(0);
+      expect(account.isRedeemed).toBe(true);
+      expect(account.balance.toDecimal()).toBe(0);
+    });
+
+    it('deducts days of simple interest when redeemed early', () => {
+      const account = new Account(10000, 0.05, 12);
+      account.accrueForDays(100);
+
+      expect(account.earlyWithdrawalPenaltyAmount().toDecimal()).toBeCloseTo(123.29, 2);
+      expect(account.redeem().toDecimal()).toBeCloseTo(10011.28, 2);
+      expect(account.earlyWithdrawalPenalty.toDecimal()).toBeCloseTo(123.29, 2);
+    });
+
+    it('pays out pending interest before the penalty on early redemption', () => {
+      const account = new Account(10000, 0.05, 12, {
+        startDate: '2025-01-01',
+        earlyWithdrawalPenaltyDays: 30,
+      });
+      account.accrueForDaysWithPosting(100, '2025-01-01');
+
+      const proceeds = account.redeem();
+
+      const interest = 10000 * (1.05 ** (100 / 365) - 1);
+      expect(account.interestAccrued.toDecimal()).toBeCloseTo(interest, 2);
+      expect(proceeds.toDecimal()).toBeCloseTo(10000 + interest - 41.1, 2);
+    });
+
+    it('can reduce principal when the penalty exceeds the interest earned', () => {
+      const account = new Account(10000, 0.05, 12);
+      account.accrueForDays(10);
+
+      expect(account.redeem().lessThan(new Amount(10000))).toBe(true);
+    });
+
+    it('can only be redeemed once', () => {
+      const account = new Account(1000, 0.05, 6);
+      account.redeem();
+
+      expect(() => account.redeem()).toThrow(/redeemed/);
+    });
+  });
+});
@@ -20,6 +20,90 @@ describe('CreditCardAccount', () => {
     expect(rewards.toDecimal()).toBeCloseTo(0, 2);
   });
 
+  describe('programRewards', () => {
+    const rewardsProgram = {
+      baseRate: 1,
+      categories: [
+        { category: 'groceries', rate: 4, quarterlyCap: 1500 },
+        { category: 'travel', rate: 3 },
+      ],
+      signUpBonus: { points: 20000, minimumSpend: 3000 },
+      annualFee: 95,
+      annualSpend: 19000,
+      centsPerPoint: 1.5,
+    };
+    const summarize = (rewards) =>
+      Object.fromEntries(Object.entries(rewards).map(([key, value]) => [key, value.toDecimal()]));
+
+    it('earns the category rate up to the quarterly cap and the sign-up bonus at its minimum spend', () => {
+      const account = new CreditCardAccount({ rewardsProgram });
+
+      const rewards = account.programRewards(1000, {
+        category: 'groceries',
+        categorySpend: 1000,
+        cardSpend: 2500,
+      });
+
+      expect(summarize(rewards)).toEqual({
+        points: 2500,
+        pointsValue: 37.5,
+        signUpBonusValue: 300,
+        annualFeeShare: 5,
+        net: 332.5,
+      });
+    });
+
+    it('earns uncapped category rates and the base rate outside the categories', () => {
+      const account = new CreditCardAccount({ rewardsProgram });
+
+      expect(account.programRewards(1000, { category: 'travel' }).net.toDecimal()).toBe(40);
+      expect(
+        account.programRewards(1000, { category: 'gas', cardSpend: 3000 }).net.toDecimal(),
+      ).toBe(10);
+    });
+
+    it('charges the whole annual fee against the purchase without an annual spend', () => {
+      const account = new CreditCardAccount({ rewardsProgram: { baseRate: 2, annualFee: 95 } });
+
+      expect(summarize(account.programRewards(1000))).toEqual({
+        points: 2000,
+        pointsValue: 20,
+        signUpBonusValue: 0,
+        annualFeeShare: 95,
+        net: -75,
+      });
+    });
+
+    it('rejects invalid programs and purchases', () => {
+      expect(() => new CreditCardAccount().programRewards(100)).toThrow(
+        'A rewards program is required',
+      );
+      expect(
+        () =>
+          new CreditCardAccount({
+            rewardsProgram: { categories: [{ category: 'gas', rate: -1 }] },
+          }),
+      ).toThrow('Rewards rates must be zero or greater');
+      expect(
+        () =>
+          new CreditCardAccount({
+            rewardsProgram: {
+              categories: [
+                { category: 'gas', rate: 2 },
+                { category: 'gas', rate: 3 },
+              ],
+            },
+          }),
+      ).toThrow('Rewards categories must be unique');
+      expect(() => new CreditCardAccount({ rewardsProgram: { annualSpend: 0 } })).toThrow(
+        'Annual spend must be greater than zero',
+      );
+      expect(() =>
+        new CreditCardAccount({ rewardsProgram }).programRewards(100, { categorySpend: -1 }),
+      ).toThrow('Purchase amount and prior spend must be zero or greater');
+    });
+  });
+
   it('accrues daily compounding interest for a billing cycle', () => {
     const account = new CreditCardAccount({ apr: 0.2899 });
     const purchaseAmount = 750;
@@ -42,4 +126,268 @@ describe('CreditCardAccount', () => {
     const interest = account.interestForDays(1200, financialCalendar.daysInMonth);
     expect(interest.toDecimal()).toBe(0);
   });
+
+  describe('minimumPayment', () => {
+    it('charges the rate on the balance plus interest, no less than the floor and no more than owed', () => {
+      const account = new CreditCardAccount({ minimumPaymentRate: 0.02, minimumPaymentFloor: 35 });
+
+      expect(account.minimumPayment(5000, 120.5).toDecimal()).toBe(220.5);
+      expect(account.minimumPayment(1000, 10).toDecimal()).toBe(35);
+      expect(account.minimumPayment(20, 0.4).toDecimal()).toBe(20.4);
+    });
+
+    it('rejects a negative rate or floor', () => {
+      expect(() => new CreditCardAccount({ minimumPaymentFloor: -1 })).toThrow(
+        'Minimum payment rate and floor must be zero or greater',
+      );
+    });
+  });
+
+  describe('minimumPaymentSchedule', () => {
+    it('projects the months and interest to repay a balance with minimum payments', () => {
+      const account = new CreditCardAccount({ apr: 0.2899 });
+
+      const { schedule, payoffMonth, totalInterest, totalPaid } =
+        account.minimumPaymentSchedule(1000);
+
+      expect(payoffMonth).toBe(85);
+      expect(totalInterest.toDecimal()).toBeCloseTo(1261.78, 2);
+      expect(totalPaid.toDecimal()).toBeCloseTo(2261.78, 2);
+      expect(schedule[0].interest.toDecimal()).toBe(24.92);
+      expect(schedule[0].payment.toDecimal()).toBe(34.92);
+      expect(schedule[0].balance.toDecimal()).toBe(990);
+      expect(schedule.at(-1).balance.toDecimal()).toBe(0);
+    });
+
+    it('pays the floor until the balance is repaid on a zero apr card', () => {
+      const account = new CreditCardAccount({ apr: 0 });
+
+      const { payoffMonth, totalInterest, schedule } = account.minimumPaymentSchedule(110);
+
+      expect(payoffMonth).toBe(5);
+      expect(totalInterest.toDecimal()).toBe(0);
+      expect(schedule.at(-1).payment.toDecimal()).toBe(10);
+    });
+
+    it('returns an empty schedule for a zero balance', () => {
+      const account = new CreditCardAccount({ apr: 0.2 });
+
+      expect(account.minimumPaymentSchedule(0).payoffMonth).toBe(0);
+    });
+
+    it('rejects minimum payments that never repay the balance', () => {
+      const account = new CreditCardAccount({
+        apr: 0.2,
+        minimumPaymentRate: 0,
+        minimumPaymentFloor: 0,
+      });
+
+      expect(() => account.minimumPaymentSchedule(1000)).toThrow(
+        'Minimum payments do not repay the balance within 1200 months',
+      );
+    });
+  });
+
+  describe('repaymentSchedule', () => {
+    const introCard = new CreditCardAccount({
+      apr: 0.2,
+      introApr: 0,
+      introPeriodMonths: 3,
+      balanceTransferFee: 0.03,
+    });
+
+    it('repays equal principal installments interest free through the intro period', () => {
+      const schedule = introCard.repaymentSchedule(1200, 6, { balanceTransfer: true });
+
+      expect(introCard.balanceTransferFeeFor(1200).toDecimal()).toBe(36);
+      expect(
+        schedule.map(({ payment, interest, balance }) => [
+          payment.toDecimal(),
+          interest.toDecimal(),
+          balance.toDecimal(),
+        ]),
+      ).toEqual([
+        [206, 0, 1030],
+        [206, 0, 824],
+        [206, 0, 618],
+        [216.58, 10.58, 412],
+        [213.06, 7.06, 206],
+        [209.53, 3.53, 0],
+      ]);
+    });
+
+    it('charges no transfer fee on purchases', () => {
+      const schedule = introCard.repaymentSchedule(1200, 3);
+
+      expect(schedule.map(({ payment }) => payment.toDecimal())).toEqual([400, 400, 400]);
+    });
+
+    it('charges the intro apr on statement cycles and minimum payments during the intro period', () => {
+      const statements = introCard.statementCycles({
+        startDate: '2025-01-01',
+        cycleCount: 5,
+        purchases: [{ date: '2025-01-01', amount: 1000 }],
+      });
+
+      expect(statements.map(({ interest }) => interest.toDecimal())).toEqual([
+        0, 0, 0, 16.44, 17.27,
+      ]);
+      expect(
+        introCard
+          .minimumPaymentSchedule(1000)
+          .totalInterest.lessThan(
+            new CreditCardAccount({ apr: 0.2 }).minimumPaymentSchedule(1000).totalInterest,
+          ),
+      ).toBe(true);
+    });
+
+    it('rejects invalid intro and repayment settings', () => {
+      expect(() => new CreditCardAccount({ introPeriodMonths: 1.5 })).toThrow(
+        'Intro period months must be a non-negative integer',
+      );
+      expect(() => new CreditCardAccount({ balanceTransferFee: -0.03 })).toThrow(
+        'Intro APR and balance transfer fee must be zero or greater',
+      );
+      expect(() => introCard.repaymentSchedule(1200, 0)).toThrow(
+        'Month count must be a positive integer',
+      );
+      expect(() => introCard.repaymentSchedule(-1, 6)).toThrow('Balance must be zero or greater');
+    });
+  });
+
+  describe('statementCycles', () => {
+    const summarize = (statements) =>
+      statements.map((statement) => ({
+        closingDate: statement.closingDate.toISOString().slice(0, 10),
+        dueDate: statement.dueDate.toISOString().slice(0, 10),
+        days: statement.days,
+        interest: statement.interest.toDecimal(),
+        statementBalance: statement.statementBalance.toDecimal(),
+        gracePeriod: statement.gracePeriod,
+      }));
+
+    it('charges no interest when each statement balance is paid in full by the due date', () => {
+      const account = new CreditCardAccount({ apr: 0.2899, statementClosingDay: 20 });
+
+      const statements = account.statementCycles({
+        startDate: '2025-01-10',
+        cycleCount: 2,
+        purchases: [{ date: '2025-01-10', amount: 1000 }],
+        payments: [{ date: '2025-02-10', amount: 1000 }],
+      });
+
+      expect(summarize(statements)).toEqual([
+        {
+          closingDate: '2025-01-20',
+          dueDate: '2025-02-14',
+          days: 11,
+          interest: 0,
+          statementBalance: 1000,
+          gracePeriod: true,
+        },
+        {
+          closingDate: '2025-02-20',
+          dueDate: '2025-03-17',
+          days: 31,
+          interest: 0,
+          statementBalance: 0,
+          gracePeriod: true,
+        },
+      ]);
+    });
+
+    it('charges average daily balance interest, including mid-cycle purchases, once a balance is carried', () => {
+      const account = new CreditCardAccount({ apr: 0.365 });
+
+      const [, carried] = account.statementCycles({
+        startDate: '2025-01-01',
+        cycleCount: 2,
+        purchases: [
+          { date: '2025-01-01', amount: 1000 },
+          { date: '2025-02-15', amount: 500 },
+        ],
+      });
+
+      expect(carried.gracePeriod).toBe(false);
+      expect(carried.days).toBe(28);
+      expect(carried.previousBalance.toDecimal()).toBe(1000);
+      expect(carried.purchases.toDecimal()).toBe(500);
+      expect(carried.averageDailyBalance.toDecimal()).toBe(1250);
+      expect(carried.interest.toDecimal()).toBe(35);
+      expect(carried.statementBalance.toDecimal()).toBe(1535);
+    });
+
+    it('charges trailing interest until the carried balance is paid and then restores the grace period', () => {
+      const account = new CreditCardAccount({ apr: 0.365 });
+
+      const statements = account.statementCycles({
+        startDate: '2025-01-01',
+        cycleCount: 4,
+        purchases: [
+          { date: '2025-01-01', amount: 1000 },
+          { date: '2025-04-10', amount: 100 },
+        ],
+        payments: [
+          { date: '2025-03-10', amount: 1028 },
+          { date: '2025-04-05', amount: 9.25 },
+        ],
+      });
+
+      expect(
+        summarize(statements).map(({ interest, gracePeriod }) => [interest, gracePeriod]),
+      ).toEqual([
+        [0, true],
+        [28, false],
+        [9.25, false],
+        [0, true],
+      ]);
+      expect(statements.at(-1).statementBalance.toDecimal()).toBe(100);
+    });
+
+    it('closes short months on their last day and ignores transactions after the final closing', () => {
+      const account = new CreditCardAccount({ apr: 0.365, statementClosingDay: 30 });
+
+      const statements = account.statementCycles({
+        startDate: '2025-01-30',
+        cycleCount: 2,
+        purchases: [{ date: '2025-03-15', amount: 100 }],
+      });
+
+      expect(summarize(statements).map(({ closingDate }) => closingDate)).toEqual([
+        '2025-02-28',
+        '2025-03-30',
+      ]);
+      expect(statements[1].statementBalance.toDecimal()).toBe(100);
+      expect(
+        account
+          .statementCycles({
+            startDate: '2025-01-30',
+            cycleCount: 1,
+            purchases: [{ date: '2025-03-15', amount: 100 }],
+          })[0]
+          .statementBalance.toDecimal(),
+      ).toBe(0);
+    });
+
+    it('rejects invalid cycle settings and transactions', () => {
+      expect(() => new CreditCardAccount({ statementClosingDay: 0 })).toThrow(
+        'Statement closing day must be an integer between 1 and 31',
+      );
+      expect(() => new CreditCardAccount({ paymentDueDays: 28 })).toThrow(
+        'Payment due days must be an integer between 1 and 27',
+      );
+
+      const account = new CreditCardAccount({ apr: 0.2 });
+      expect(() => account.statementCycles({ startDate: '2025-01-01', cycleCount: 0 })).toThrow(
+        'Cycle count must be a positive integer',
+      );
+      expect(() =>
+        account.statementCycles({
+          startDate: '2025-01-01',
+          cycleCount: 1,
+          payments: [{ date: '2024-12-31', amount: 10 }],
+        }),
+      ).toThrow('Transactions can not be dated before startDate');
+    });
+  });
 });
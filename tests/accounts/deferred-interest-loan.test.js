@@ -0,0 +1,67 @@
+import { describe, expect, it } from 'vitest';
+
+import { Account } from '../../src/accounts/deferred-interest-loan.js';
+import { Amount } from '../../src/math/mini-money.js';
+
+describe('deferred interest loan Account', () => {
+  describe('constructor', () => {
+    it.each([
+      { label: 'zero promo periods', promoPeriodCount: 0 },
+      { label: 'non-integer promo periods', promoPeriodCount: 6.5 },
+      { label: 'missing promo periods', promoPeriodCount: undefined },
+    ])('requires a positive integer promo period count (%s)', ({ promoPeriodCount }) => {
+      expect(() => new Account(12, 'MONTH', 0.2499, 1200, promoPeriodCount)).toThrow(/promo/i);
+    });
+
+    it('validates the shared loan inputs', () => {
+      expect(() => new Account(0, 'MONTH', 0.2499, 1200, 12)).toThrow(/period/i);
+      expect(() => new Account(12, 'YEAR', 0.2499, 1200, 12)).toThrow(/period/i);
+      expect(() => new Account(12, 'MONTH', -0.1, 1200, 12)).toThrow(/rate/i);
+    });
+  });
+
+  describe('when the balance is repaid within the promotion', () => {
+    it('charges no interest while still reporting the deferred amount at risk', () => {
+      const account = new Account(12, 'MONTH', 0.2499, 1200, 12);
+
+      expect(account.payment().toDecimal()).toBeCloseTo(100, 2);
+      expect(account.isDeferredInterestAssessed()).toBe(false);
+      expect(account.totalInterest().toDecimal()).toBe(0);
+      expect(account.deferredInterest()).toBeInstanceOf(Amount);
+      expect(account.deferredInterest().toDecimal()).toBeCloseTo(162.43, 2);
+      expect(account.amortizationSchedule().at(-1).balance.toDecimal()).toBe(0);
+    });
+  });
+
+  describe('when the balance outlasts the promotion', () => {
+    it('retroactively assesses all deferred interest after the promo end', () => {
+      const account = new Account(13, 'MONTH', 0.2499, 1200, 12);
+
+      const schedule = account.amortizationSchedule();
+
+      expect(account.isDeferredInterestAssessed()).toBe(true);
+      expect(account.deferredInterest().toDecimal()).toBeCloseTo(173.01, 2);
+      expect(schedule[11].interest.toDecimal()).toBe(0);
+      expect(schedule[11].balance.toDecimal()).toBeCloseTo(92.28, 2);
+      // deferred interest plus one period of interest on the remaining balance
+      expect(schedule[12].interest.toDecimal()).toBeCloseTo(174.93, 2);
+      expect(schedule[12].payment.toDecimal()).toBeCloseTo(267.21, 2);
+      expect(schedule[12].balance.toDecimal()).toBe(0);
+      expect(account.totalInterest().toDecimal()).toBeCloseTo(174.93, 2);
+    });
+
+    it('charges regular interest on the balance in later periods', () => {
+      const account = new Account(6, 'MONTH', 0.12, 600, 3);
+
+      const schedule = account.amortizationSchedule();
+
+      // 3 periods deferred at 1% on 600, 500 and 400 then billed with the 1% charge on 300
+      expect(schedule[3].interest.toDecimal()).toBeCloseTo(18, 2);
+      expect(schedule[4].interest.toDecimal()).toBeCloseTo(2.18, 2);
+      expect(schedule[5].balance.toDecimal()).toBe(0);
+      schedule.forEach((entry) => {
+        expect(entry.payment.equals(entry.interest.addTo(entry.principal))).toBe(true);
+      });
+    });
+  });
+});
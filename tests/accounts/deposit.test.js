@@ -68,6 +68,247 @@ describe('deposit Account', () => {
     });
   });
 
+  describe('deposit', () => {
+    it('adds to the balance and records the deposit', () => {
+      const account = new Account(500);
+
+      account.deposit(125.5);
+
+      expect(account.balance.toDecimal()).toBe(625.5);
+      expect(account.ledger.at(-1).type).toBe('DEPOSIT');
+      expect(account.ledger.at(-1).amount.toDecimal()).toBe(125.5);
+    });
+
+    it('rejects negative deposits', () => {
+      const account = new Account(500);
+
+      expect(() => account.deposit(-1)).toThrow('Deposit must be zero or greater');
+    });
+  });
+
+  describe('recurring transfers', () => {
+    it('deposits on idealized days when accruing without a calendar', () => {
+      const account = new Account(0, 0, {
+        recurringTransfers: [
+          { amount: 100, frequency: 'semimonth', day: 0 },
+          { amount: 10, frequency: 'WEEK', day: 3 },
+        ],
+      });
+
+      account.accrueForDays(62);
+
+      const deposits = account.ledger.filter(({ type }) => type === 'DEPOSIT');
+      expect(
+        deposits.filter(({ amount }) => amount.toDecimal() === 100).map(({ day }) => day),
+      ).toEqual([0, 15, 31, 46]);
+      expect(deposits.filter(({ amount }) => amount.toDecimal() === 10)).toHaveLength(9);
+      expect(account.balance.toDecimal()).toBe(490);
+      expect(account.transfersIn.toDecimal()).toBe(490);
+    });
+
+    it('spaces idealized monthly transfers by the configured days in a month', () => {
+      const account = new Account(0, 0, {
+        daysInMonth: 30,
+        recurringTransfers: [{ amount: 100, frequency: 'MONTH', day: 29 }],
+      });
+
+      account.accrueForDays(360);
+
+      expect(account.transfersIn.toDecimal()).toBe(1200);
+      expect(() => new Account(0, 0, { daysInMonth: 0 })).toThrow(
+        'Days in month must be a positive integer',
+      );
+    });
+
+    it('earns interest from the day a transfer arrives', () => {
+      const account = new Account(0, 0.05, {
+        recurringTransfers: [{ amount: 1000, frequency: 'MONTH', day: 0 }],
+      });
+
+      account.accrueForDays(31);
+
+      expect(account.balance.toDecimal()).toBe(1004.15);
+    });
+
+    it('deposits on calendar dates when accruing with posting', () => {
+      const account = new Account(0, 0, {
+        startDate: '2025-01-15',
+        recurringTransfers: [{ amount: 100, frequency: 'MONTH', startDate: '2025-01-31' }],
+      });
+
+      account.accrueForDaysWithPosting(90, '2025-01-15');
+
+      const depositDates = account.ledger
+        .filter(({ type }) => type === 'DEPOSIT')
+        .map(({ date }) => date.toISOString().slice(0, 10));
+      expect(depositDates).toEqual(['2025-01-31', '2025-02-28', '2025-03-31']);
+      expect(account.recurringTransfers).toEqual([
+        { amount: new Amount(100), frequency: 'MONTH', day: 16 },
+      ]);
+    });
+
+    it('credits transfers in monthly statements', () => {
+      const account = new Account(0, 0, {
+        startDate: '2025-01-01',
+        recurringTransfers: [{ amount: 50, frequency: 'BIWEEK', day: 0 }],
+      });
+
+      account.accrueForDaysWithPosting(31, '2025-01-01');
+
+      const [january] = account.monthlyStatements();
+      expect(january.credits.toDecimal()).toBe(150);
+      expect(january.closingBalance.toDecimal()).toBe(150);
+    });
+
+    it('rejects invalid transfers', () => {
+      expect(
+        () =>
+          new Account(0, 0, { recurringTransfers: [{ amount: 100, frequency: 'DAY', day: 0 }] }),
+      ).toThrow('Unsupported transfer frequency');
+      expect(
+        () => new Account(0, 0, { recurringTransfers: [{ amount: 0, frequency: 'WEEK', day: 0 }] }),
+      ).toThrow('Transfer amount must be greater than zero');
+      expect(
+        () =>
+          new Account(0, 0, {
+            recurringTransfers: [{ amount: 100, frequency: 'WEEK', startDate: '2025-01-01' }],
+          }),
+      ).toThrow(/startDate is required/);
+      expect(
+        () => new Account(0, 0, { recurringTransfers: [{ amount: 100, frequency: 'WEEK' }] }),
+      ).toThrow('Transfer start day must be zero or greater');
+    });
+  });
+
+  describe('minimum balance', () => {
+    it('pays the below minimum apy on days the balance is under the minimum', () => {
+      const options = { minimumBalance: 1500, belowMinimumApy: 0.01 };
+      const below = new Account(1000, 0.05, options);
+      const above = new Account(2000, 0.05, options);
+
+      below.accrueForDays(31);
+      above.accrueForDays(31);
+
+      expect(below.balance.toDecimal()).toBe(1000.85);
+      expect(above.balance.toDecimal()).toBe(2008.3);
+    });
+
+    it('charges the maintenance fee for idealized months that fell below the minimum', () => {
+      const account = new Account(1000, 0, { minimumBalance: 500, maintenanceFee: 5 });
+
+      account.accrueForDays(31);
+      account.withdraw(600);
+      account.accrueForDays(31);
+      account.deposit(200);
+      account.accrueForDays(31);
+
+      expect(account.balance.toDecimal()).toBe(595);
+      expect(account.feesCharged.toDecimal()).toBe(5);
+      expect(account.ledger.find(({ type }) => type === 'FEE').day).toBe(61);
+    });
+
+    it('charges the maintenance fee at calendar month end', () => {
+      const account = new Account(1000, 0, { minimumBalance: 1000, maintenanceFee: 10 });
+
+      account.accrueForDaysWithPosting(10, '2025-01-22');
+      account.withdraw(1);
+      account.accrueForDaysWithPosting(28, '2025-02-01');
+
+      const fees = account.ledger.filter(({ type }) => type === 'FEE');
+      expect(fees).toHaveLength(1);
+      expect(fees[0].date.toISOString().slice(0, 10)).toBe('2025-02-28');
+      expect(account.balance.toDecimal()).toBe(989);
+      expect(account.monthlyStatements().at(-1).debits.toDecimal()).toBe(11);
+    });
+
+    it('rejects a negative minimum balance or maintenance fee', () => {
+      expect(() => new Account(0, 0, { minimumBalance: -1 })).toThrow(
+        'Minimum balance and maintenance fee must be zero or greater',
+      );
+      expect(() => new Account(0, 0, { maintenanceFee: -1 })).toThrow(
+        'Minimum balance and maintenance fee must be zero or greater',
+      );
+    });
+  });
+
+  describe('overdraft policies', () => {
+    it('rejects withdrawals larger than the balance', () => {
+      const account = new Account(50, 0, { overdraftPolicy: 'reject' });
+
+      expect(() => account.withdraw(75)).toThrow('Insufficient funds for withdrawal');
+      expect(account.balance.toDecimal()).toBe(50);
+      expect(() => account.withdraw(50)).not.toThrow();
+    });
+
+    it('charges a fee for each overdrawing withdrawal', () => {
+      const account = new Account(50, 0, { overdraftPolicy: 'FEE', overdraftFee: 35 });
+
+      account.withdraw(40);
+      account.withdraw(20);
+      account.withdraw(5);
+
+      expect(account.balance.toDecimal()).toBe(-85);
+      expect(account.ledger.filter(({ type }) => type === 'FEE')).toHaveLength(2);
+    });
+
+    it('charges interest on a negative balance', () => {
+      const account = new Account(0, 0.05, { overdraftPolicy: 'INTEREST', overdraftApr: 0.365 });
+
+      account.withdraw(1000);
+      account.accrueForDays(10);
+
+      expect(account.balance.toDecimal()).toBeCloseTo(-1010.05, 2);
+    });
+
+    it('transfers the shortfall and fee from the backing source', () => {
+      const source = new Account(500);
+      const account = new Account(50, 0, {
+        overdraftPolicy: 'TRANSFER',
+        overdraftFee: 10,
+        overdraftSource: source,
+      });
+
+      account.withdraw(80);
+
+      expect(account.balance.toDecimal()).toBe(0);
+      expect(source.balance.toDecimal()).toBe(460);
+      expect(account.ledger.map(({ type }) => type)).toEqual([
+        'OPEN',
+        'TRANSFER',
+        'WITHDRAWAL',
+        'FEE',
+      ]);
+    });
+
+    it('leaves both accounts unchanged when a rejecting source can not cover the transfer', () => {
+      const source = new Account(20, 0, { overdraftPolicy: 'REJECT' });
+      const account = new Account(50, 0, { overdraftPolicy: 'TRANSFER', overdraftSource: source });
+
+      expect(() => account.withdraw(80)).toThrow('Insufficient funds for withdrawal');
+      expect(account.balance.toDecimal()).toBe(50);
+      expect(source.balance.toDecimal()).toBe(20);
+    });
+
+    it('reports the shortfall for a withdrawal', () => {
+      const account = new Account(50);
+
+      expect(account.shortfallFor(30).toDecimal()).toBe(0);
+      expect(account.shortfallFor(80).toDecimal()).toBe(30);
+      account.withdraw(80);
+      expect(account.shortfallFor(20).toDecimal()).toBe(20);
+    });
+
+    it('rejects unsupported policies and transfers without a source', () => {
+      expect(() => new Account(50, 0, { overdraftPolicy: 'BOUNCE' })).toThrow(
+        'Unsupported overdraft policy',
+      );
+      expect(() => new Account(50, 0, { overdraftPolicy: 'TRANSFER' })).toThrow(/overdraftSource/);
+      expect(() => new Account(50, 0, { overdraftPolicy: 'FEE', overdraftFee: -1 })).toThrow(
+        'Overdraft fee and APR must be zero or greater',
+      );
+    });
+  });
+
   describe('accrueForDays', () => {
     it('accrues daily compounded interest onto the balance', () => {
       const account = new Account(1000, 0.05);
@@ -146,4 +387,322 @@ describe('deposit Account', () => {
       );
     });
   });
+
+  describe('tiered APY', () => {
+    it('blends a capped top rate with a lower rate above the cap', () => {
+      const account = new Account(10000, 0.05, { tiers: [{ minBalance: 5000, apy: 0.01 }] });
+
+      account.accrueForDays(1);
+
+      const expectedInterest = 5000 * (1.05 ** (1 / 365) - 1) + 5000 * (1.01 ** (1 / 365) - 1);
+      expect(account.tierMethod).toBe('BLENDED');
+      expect(account.interestAccrued.toDecimal()).toBeCloseTo(expectedInterest, 2);
+    });
+
+    it('keeps growth above the cap at the lower rate', () => {
+      const account = new Account(10000, 0.05, { tiers: [{ minBalance: 5000, apy: 0.01 }] });
+
+      account.accrueForDays(365);
+
+      expect(account.balance.toDecimal()).toBeCloseTo(10295.18, 2);
+    });
+
+    it('pays the whole balance the top rate only once the minimum is reached', () => {
+      const tiers = [{ minBalance: 10000, apy: 0.04 }];
+      const below = new Account(5000, 0.001, { tiers, tierMethod: 'WHOLE_BALANCE' });
+      const above = new Account(10000, 0.001, { tiers, tierMethod: 'WHOLE_BALANCE' });
+
+      below.accrueForDays(365);
+      above.accrueForDays(365);
+
+      expect(below.balance.toDecimal()).toBeCloseTo(5005, 2);
+      expect(above.balance.toDecimal()).toBeCloseTo(10400, 2);
+    });
+
+    it('applies tiers to monthly posted accruals', () => {
+      const account = new Account(10000, 0.05, { tiers: [{ minBalance: 5000, apy: 0.01 }] });
+
+      account.accrueForDaysWithMonthlyPosting(31, '2025-01-01');
+
+      // interest earned on the capped slice compounds above the cap at the lower rate
+      let aboveCap = 5000;
+      for (let day = 0; day < 31; day += 1) {
+        aboveCap += 5000 * (1.05 ** (1 / 365) - 1) + aboveCap * (1.01 ** (1 / 365) - 1);
+      }
+      expect(account.interestAccrued.toDecimal()).toBeCloseTo(aboveCap - 5000, 2);
+      expect(account.balance.toDecimal()).toBeCloseTo(10024.96, 2);
+    });
+
+    it('matches a single rate account when every tier pays the same apy', () => {
+      const tiered = new Account(2349.99, 0.042, {
+        tiers: [
+          { minBalance: 1000, apy: 0.042 },
+          { minBalance: 2000, apy: 0.042 },
+        ],
+      });
+      const flat = new Account(2349.99, 0.042);
+
+      tiered.accrueForDaysWithMonthlyPosting(30, '2025-09-22');
+      flat.accrueForDaysWithMonthlyPosting(30, '2025-09-22');
+
+      expect(tiered.balance.toDecimal()).toBe(flat.balance.toDecimal());
+      expect(tiered.tiers).toHaveLength(2);
+    });
+
+    it.each([
+      { label: 'zero minimum', options: { tiers: [{ minBalance: 0, apy: 0.02 }] } },
+      {
+        label: 'descending minimums',
+        options: {
+          tiers: [
+            { minBalance: 5000, apy: 0.02 },
+            { minBalance: 1000, apy: 0.03 },
+          ],
+        },
+      },
+      { label: 'unknown method', options: { tierMethod: 'AVERAGE' } },
+    ])('rejects invalid tier definitions (%s)', ({ options }) => {
+      expect(() => new Account(1000, 0.01, options)).toThrow(/tier/i);
+    });
+  });
+
+  describe('apy rate timeline', () => {
+    it('switches the daily rate on the day a change takes effect', () => {
+      const account = new Account(1000, 0.05, { rateChanges: [{ apy: 0.02, day: 30 }] });
+
+      account.accrueForDays(30);
+      expect(account.apy.toDecimal()).toBe(0.05);
+      account.accrueForDays(30);
+
+      const postedBalance = Math.round(1000 * 1.05 ** (30 / 365) * 100) / 100;
+      const expectedBalance = postedBalance * 1.02 ** (30 / 365);
+      expect(account.apy.toDecimal()).toBe(0.02);
+      expect(account.balance.toDecimal()).toBeCloseTo(expectedBalance, 2);
+    });
+
+    it('applies a change within a single accrual span', () => {
+      const stepped = new Account(1000, 0.05, { rateChanges: [{ apy: 0, day: 10 }] });
+      const flat = new Account(1000, 0.05);
+
+      stepped.accrueForDays(31);
+      flat.accrueForDays(10);
+
+      expect(stepped.balance.toDecimal()).toBe(flat.balance.toDecimal());
+    });
+
+    it('places dated changes on the calendar from the start date', () => {
+      const account = new Account(2000, 0.04, {
+        startDate: '2025-01-01',
+        rateChanges: [{ apy: 0.03, effectiveDate: '2025-02-01' }],
+      });
+
+      account.accrueForDaysWithMonthlyPosting(59, '2025-01-01');
+
+      const january = 2000 * (1.04 ** (31 / 365) - 1);
+      const february = (2000 + january) * (1.03 ** (28 / 365) - 1);
+      expect(account.rateChanges).toEqual([{ day: 31, apy: expect.any(Amount) }]);
+      expect(account.interestAccrued.toDecimal()).toBeCloseTo(january + february, 2);
+    });
+
+    it.each([
+      {
+        label: 'dated change without a start date',
+        options: { rateChanges: [{ apy: 0.03, effectiveDate: '2025-02-01' }] },
+      },
+      { label: 'negative day', options: { rateChanges: [{ apy: 0.03, day: -1 }] } },
+      { label: 'fractional day', options: { rateChanges: [{ apy: 0.03, day: 1.5 }] } },
+    ])('rejects invalid rate changes (%s)', ({ options }) => {
+      expect(() => new Account(1000, 0.01, options)).toThrow(/rate change|startDate/i);
+    });
+  });
+
+  describe('accrueForDaysWithPosting', () => {
+    it('defaults to month-end posting', () => {
+      const policy = new Account(2349.99, 0.042);
+      const monthly = new Account(2349.99, 0.042);
+
+      policy.accrueForDaysWithPosting(30, '2025-09-22');
+      monthly.accrueForDaysWithMonthlyPosting(30, '2025-09-22');
+
+      expect(policy.postingFrequency).toBe('MONTHLY');
+      expect(policy.balance.toDecimal()).toBe(monthly.balance.toDecimal());
+    });
+
+    it('posts daily while rolling over fractional cents', () => {
+      const account = new Account(1000, 0.05, { postingFrequency: 'daily' });
+
+      account.accrueForDaysWithPosting(1, '2025-01-01');
+
+      expect(account.balance.toDecimal()).toBe(1000.13);
+      expect(account.pendingInterest.toDecimal()).toBeCloseTo(0.0037, 4);
+    });
+
+    it('posts on a statement day instead of month end', () => {
+      const account = new Account(1000, 0.05, { postingDay: 15 });
+
+      account.accrueForDaysWithPosting(14, '2025-01-01');
+      expect(account.balance.toDecimal()).toBe(1000);
+      account.accrueForDaysWithPosting(1, '2025-01-15');
+
+      expect(account.balance.toDecimal()).toBeCloseTo(1000 * 1.05 ** (15 / 365), 2);
+    });
+
+    it('posts on the last day of short months when the posting day is later', () => {
+      const account = new Account(1000, 0.05, { postingDay: 31 });
+
+      account.accrueForDaysWithPosting(28, '2025-02-01');
+
+      expect(account.interestAccrued.toDecimal()).toBeCloseTo(1000 * (1.05 ** (28 / 365) - 1), 2);
+    });
+
+    it.each([
+      { postingFrequency: 'QUARTERLY', postedOnDay: 90, postingDate: '2025-03-31' },
+      { postingFrequency: 'ANNUALLY', postedOnDay: 365, postingDate: '2025-12-31' },
+    ])(
+      'holds interest until $postingFrequency posting',
+      ({ postingFrequency, postedOnDay, postingDate }) => {
+        const account = new Account(1000, 0.05, { postingFrequency });
+
+        account.accrueForDaysWithPosting(postedOnDay - 1, '2025-01-01');
+        expect(account.balance.toDecimal()).toBe(1000);
+        account.accrueForDaysWithPosting(1, postingDate);
+
+        expect(account.balance.toDecimal()).toBeCloseTo(1000 * 1.05 ** (postedOnDay / 365), 2);
+      },
+    );
+
+    it('posts only on the maturity date', () => {
+      const account = new Account(1000, 0.05, {
+        postingFrequency: 'MATURITY',
+        maturityDate: '2025-07-01',
+      });
+
+      account.accrueForDaysWithPosting(181, '2025-01-01');
+      expect(account.balance.toDecimal()).toBe(1000);
+      expect(account.pendingInterest.toDecimal()).toBeGreaterThan(24);
+      account.accrueForDaysWithPosting(1, '2025-07-01');
+
+      expect(account.balance.toDecimal()).toBeCloseTo(1000 * 1.05 ** (182 / 365), 2);
+    });
+
+    it.each([
+      { label: 'unknown frequency', options: { postingFrequency: 'WEEKLY' } },
+      { label: 'posting day zero', options: { postingDay: 0 } },
+      { label: 'posting day 32', options: { postingDay: 32 } },
+      { label: 'maturity without a date', options: { postingFrequency: 'MATURITY' } },
+    ])('rejects invalid posting policies (%s)', ({ options }) => {
+      expect(() => new Account(1000, 0.01, options)).toThrow(/posting|maturity/i);
+    });
+  });
+
+  describe('ledger', () => {
+    it('records the opening balance, withdrawals and adjustments', () => {
+      const account = new Account(500);
+
+      account.withdraw(125.5);
+      account.balance = 400;
+
+      expect(
+        account.ledger.map(({ type, day, amount, balance }) => [
+          type,
+          day,
+          amount.toDecimal(),
+          balance.toDecimal(),
+        ]),
+      ).toEqual([
+        ['OPEN', 0, 500, 500],
+        ['WITHDRAWAL', 0, 125.5, 374.5],
+        ['ADJUSTMENT', 0, 25.5, 400],
+      ]);
+    });
+
+    it('records accrual batches and dated interest postings', () => {
+      const account = new Account(1000, 0.05);
+
+      account.accrueForDaysWithPosting(20, '2025-01-15');
+      account.withdraw(100);
+
+      const entries = account.ledger.map(({ type, day, date, days }) => [
+        type,
+        day,
+        date.toISOString().slice(0, 10),
+        days,
+      ]);
+      expect(entries).toEqual([
+        ['OPEN', 0, '2025-01-15', undefined],
+        ['ACCRUAL', 16, '2025-01-31', 17],
+        ['INTEREST', 16, '2025-01-31', undefined],
+        ['ACCRUAL', 19, '2025-02-03', 3],
+        ['WITHDRAWAL', 20, '2025-02-04', undefined],
+      ]);
+      expect(account.ledger[2].amount.toDecimal()).toBe(2.28);
+      expect(account.ledger[3].balance.toDecimal()).toBe(1002.28);
+    });
+
+    it('records idealized accruals as an accrual and an interest posting', () => {
+      const account = new Account(1000, 0.05);
+
+      account.accrueForDays(30);
+
+      const [, accrual, interest] = account.ledger;
+      expect(accrual).toMatchObject({ type: 'ACCRUAL', day: 29, days: 30, date: undefined });
+      expect(accrual.amount.toDecimal()).toBeCloseTo(interest.amount.toDecimal(), 2);
+      expect(interest.balance.equals(account.balance)).toBe(true);
+    });
+
+    it('dates entries from the startDate option', () => {
+      const account = new Account(1000, 0.05, { startDate: '2025-03-01' });
+
+      account.accrueForDays(10);
+
+      expect(account.ledger[2].date.toISOString().slice(0, 10)).toBe('2025-03-10');
+    });
+  });
+
+  describe('monthlyStatements', () => {
+    it('summarizes calendar months', () => {
+      const account = new Account(1000, 0.05);
+      account.accrueForDaysWithPosting(20, '2025-01-15');
+      account.withdraw(100);
+      account.accrueForDaysWithPosting(31, '2025-02-04');
+      account.balance = 1000;
+
+      const statements = account
+        .monthlyStatements()
+        .map((statement) => [
+          statement.month,
+          statement.openingBalance.toDecimal(),
+          statement.credits.toDecimal(),
+          statement.debits.toDecimal(),
+          statement.interest.toDecimal(),
+          statement.closingBalance.toDecimal(),
+        ]);
+
+      expect(statements).toEqual([
+        ['2025-01', 0, 1000, 0, 2.28, 1002.28],
+        ['2025-02', 1002.28, 0, 100, 3.42, 905.7],
+        ['2025-03', 905.7, 94.3, 0, 0, 1000],
+      ]);
+    });
+
+    it('summarizes idealized months without a calendar', () => {
+      const account = new Account(1000, 0.05);
+      account.accrueForDays(31);
+      account.withdraw(10);
+      account.accrueForDays(31);
+      account.balance = 900;
+
+      const [first, second, third] = account.monthlyStatements();
+
+      expect(first.month).toBe(1);
+      expect(first.interest.toDecimal()).toBe(4.15);
+      expect(second.month).toBe(2);
+      expect(second.openingBalance.toDecimal()).toBe(1004.15);
+      expect(second.debits.toDecimal()).toBe(10);
+      expect(second.closingBalance.toDecimal()).toBe(998.28);
+      expect(third.month).toBe(3);
+      expect(third.debits.toDecimal()).toBeCloseTo(98.28, 2);
+      expect(third.closingBalance.toDecimal()).toBe(900);
+    });
+  });
 });
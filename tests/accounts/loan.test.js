@@ -1,6 +1,6 @@
 import { describe, expect, it } from 'vitest';
 
-import { Account } from '../../src/accounts/loan.js';
+import { Account, solveRate, solveTerm } from '../../src/accounts/loan.js';
 import { Amount } from '../../src/math/mini-money.js';
 
 describe('loan Account', () => {
@@ -13,15 +13,51 @@ describe('loan Account', () => {
       expect(() => new Account(periodCount, 'MONTH', 0.05, 500)).toThrow(/period/i);
     });
 
-    it.each(['YEAR', 'WEEK'])('rejects unsupported period types (%s)', (periodType) => {
+    it.each(['YEAR', 'DAY'])('rejects unsupported period types (%s)', (periodType) => {
       expect(() => new Account(6, periodType, 0.05, 500)).toThrow(/period/i);
     });
+
+    it.each(['week', 'BIWEEK', 'SemiMonth', 'MONTH'])(
+      'accepts supported period types (%s)',
+      (periodType) => {
+        const account = new Account(6, periodType, 0.05, 500);
+
+        expect(account.periodType).toBe(periodType.toUpperCase());
+      },
+    );
+  });
+
+  describe('periodic rates', () => {
+    it.each([
+      { periodType: 'WEEK', periodsPerYear: 52 },
+      { periodType: 'BIWEEK', periodsPerYear: 26 },
+      { periodType: 'SEMIMONTH', periodsPerYear: 24 },
+      { periodType: 'MONTH', periodsPerYear: 12 },
+    ])(
+      'amortizes payments using the $periodType periodic rate',
+      ({ periodType, periodsPerYear }) => {
+        const periodCount = 26;
+        const principal = 1300;
+        const rate = 0.12;
+        const account = new Account(periodCount, periodType, rate, principal);
+
+        const periodicRate = rate / periodsPerYear;
+        const expectedPayment =
+          (principal * periodicRate * (1 + periodicRate) ** periodCount) /
+          ((1 + periodicRate) ** periodCount - 1);
+        expect(account.payment().toDecimal()).toBeCloseTo(expectedPayment, 2);
+        expect(account.amortizationSchedule()[0].interest.toDecimal()).toBeCloseTo(
+          principal * periodicRate,
+          2,
+        );
+      },
+    );
   });
 
   describe('totalInterest', () => {
     it.each([
       { label: 'non-interest bearing loan', rate: 0, expected: 0 },
-      { label: 'interest bearing loan', rate: 0.05, expected: 54.52 },
+      { label: 'interest bearing loan', rate: 0.05, expected: 54.56 },
     ])('returns the simple interest amount for the entire loan (%s)', ({ rate, expected }) => {
       const principal = 2000;
       const account = new Account(12, 'MONTH', rate, principal);
@@ -72,7 +108,7 @@ describe('loan Account', () => {
         periodCount: 12,
         principal: 1200,
         rate: 0.1,
-        totalInterest: 66.0,
+        totalInterest: 65.97,
         expectedPayment: 105.5,
       },
       {
@@ -80,7 +116,7 @@ describe('loan Account', () => {
         periodCount: 6,
         principal: 1150,
         rate: 0.05,
-        totalInterest: 16.82,
+        totalInterest: 16.83,
         expectedPayment: 194.47,
       },
       {
@@ -88,7 +124,7 @@ describe('loan Account', () => {
         periodCount: 18,
         principal: 1029.19,
         rate: 0.2,
-        totalInterest: 170.51,
+        totalInterest: 170.59,
         expectedPayment: 66.65,
       },
     ])(
@@ -112,4 +148,497 @@ describe('loan Account', () => {
       expect(account.payment().toDecimal()).toBeCloseTo(1210, 2);
     });
   });
+
+  describe('amortizationSchedule', () => {
+    it('splits every payment into interest and principal down to a zero balance', () => {
+      const account = new Account(12, 'MONTH', 0.05, 2000);
+
+      const schedule = account.amortizationSchedule();
+
+      expect(schedule).toHaveLength(12);
+      expect(schedule.map(({ period }) => period)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]);
+      expect(schedule[0].payment.toDecimal()).toBeCloseTo(171.21, 2);
+      expect(schedule[0].interest.toDecimal()).toBeCloseTo(8.33, 2);
+      expect(schedule[0].principal.toDecimal()).toBeCloseTo(162.88, 2);
+      expect(schedule[0].balance.toDecimal()).toBeCloseTo(1837.12, 2);
+      schedule.forEach((entry) => {
+        expect(entry.payment.equals(entry.interest.addTo(entry.principal))).toBe(true);
+      });
+      expect(schedule.at(-1).balance.toDecimal()).toBe(0);
+    });
+
+    it('adjusts the final payment to absorb payment rounding', () => {
+      const account = new Account(6, 'MONTH', 0, 1000);
+
+      const schedule = account.amortizationSchedule();
+
+      expect(schedule.slice(0, 5).every(({ payment }) => payment.equals(account.payment()))).toBe(
+        true,
+      );
+      expect(schedule.at(-1).payment.toDecimal()).toBeCloseTo(166.65, 2);
+      expect(schedule.at(-1).balance.toDecimal()).toBe(0);
+    });
+
+    it('returns Amounts that sum to the principal', () => {
+      const account = new Account(18, 'MONTH', 0.2, 1029.19);
+
+      const repaid = account
+        .amortizationSchedule()
+        .reduce((total, { principal }) => total.addTo(principal), new Amount(0));
+
+      expect(repaid.equals(account.principal)).toBe(true);
+    });
+
+    it('agrees with the total interest and payments for a level payment loan', () => {
+      const account = new Account(12, 'MONTH', 0.1, 1200);
+
+      const schedule = account.amortizationSchedule();
+      const paid = schedule.reduce((total, { payment }) => total.addTo(payment), new Amount(0));
+
+      expect(account.totalInterest().toDecimal()).toBeCloseTo(65.97, 2);
+      expect(paid.equals(account.principal.addTo(account.totalInterest()))).toBe(true);
+    });
+  });
+
+  describe('fees and down payments', () => {
+    it('reduces the amount loaned by the down payment', () => {
+      const account = new Account(6, 'MONTH', 0, 1200, { downPayment: 300 });
+
+      expect(account.principal.toDecimal()).toBe(900);
+      expect(account.payment().toDecimal()).toBeCloseTo(150, 2);
+      expect(account.upfrontPayment().toDecimal()).toBe(300);
+    });
+
+    it('collects an unfinanced fee at signing', () => {
+      const account = new Account(12, 'MONTH', 0, 1200, { originationFee: 49 });
+
+      expect(account.principal.toDecimal()).toBe(1200);
+      expect(account.upfrontPayment().toDecimal()).toBe(49);
+      expect(account.totalInterest().toDecimal()).toBe(0);
+      expect(account.financeCharge().toDecimal()).toBe(49);
+    });
+
+    it('adds a financed percent fee to the amount loaned', () => {
+      const account = new Account(4, 'BIWEEK', 0, 1000, {
+        downPayment: 250,
+        originationFee: 0.02,
+        originationFeeType: 'percent',
+        financeFee: true,
+      });
+
+      expect(account.originationFee.toDecimal()).toBe(15);
+      expect(account.principal.toDecimal()).toBe(765);
+      expect(account.upfrontPayment().toDecimal()).toBe(250);
+    });
+
+    it.each([
+      { label: 'negative down payment', options: { downPayment: -1 }, message: /down payment/i },
+      { label: 'excess down payment', options: { downPayment: 1201 }, message: /down payment/i },
+      { label: 'negative fee', options: { originationFee: -5 }, message: /fee/i },
+      { label: 'unknown fee type', options: { originationFeeType: 'DAILY' }, message: /fee type/i },
+    ])('rejects invalid options (%s)', ({ options, message }) => {
+      expect(() => new Account(12, 'MONTH', 0, 1200, options)).toThrow(message);
+    });
+  });
+
+  describe('annualPercentageRate', () => {
+    it('is close to the nominal rate for a loan without fees', () => {
+      const account = new Account(12, 'MONTH', 0.05, 2000);
+
+      expect(account.annualPercentageRate().toDecimal()).toBeCloseTo(0.05, 3);
+    });
+
+    it('is zero for a zero rate loan without fees', () => {
+      const account = new Account(12, 'MONTH', 0, 1200);
+
+      expect(account.annualPercentageRate().toDecimal()).toBe(0);
+    });
+
+    it('reflects an origination fee on a zero rate loan', () => {
+      const paidAtSigning = new Account(12, 'MONTH', 0, 1200, { originationFee: 49 });
+      const financed = new Account(12, 'MONTH', 0, 1200, { originationFee: 49, financeFee: true });
+
+      expect(paidAtSigning.annualPercentageRate().toDecimal()).toBeCloseTo(0.077675, 6);
+      expect(financed.annualPercentageRate().toDecimal()).toBeCloseTo(0.074536, 6);
+    });
+
+    it('rejects fees that consume the entire amount loaned', () => {
+      const account = new Account(12, 'MONTH', 0, 40, { originationFee: 49 });
+
+      expect(() => account.annualPercentageRate()).toThrow(/fee/i);
+    });
+  });
+
+  describe('prepaymentSchedule', () => {
+    it('applies recurring extra principal and reports the early payoff', () => {
+      const account = new Account(12, 'MONTH', 0.1, 1200);
+
+      const result = account.prepaymentSchedule({ extraPayment: 100, startDate: '2025-01-15' });
+
+      expect(result.payoffPeriod).toBe(7);
+      expect(result.payoffDate.toISOString()).toBe('2025-08-15T00:00:00.000Z');
+      expect(result.schedule).toHaveLength(7);
+      expect(result.schedule[0].payment.toDecimal()).toBeCloseTo(205.5, 2);
+      expect(result.schedule[0].extraPrincipal.toDecimal()).toBe(100);
+      expect(result.schedule.at(-1).payment.toDecimal()).toBeCloseTo(2.31, 2);
+      expect(result.schedule.at(-1).balance.toDecimal()).toBe(0);
+      expect(result.totalInterest.toDecimal()).toBeCloseTo(35.31, 2);
+      expect(result.interestSaved.toDecimal()).toBeCloseTo(30.66, 2);
+      expect(result.totalPenalty.toDecimal()).toBe(0);
+    });
+
+    it('pays off the balance with an open ended lump sum and charges the penalty', () => {
+      const account = new Account(12, 'MONTH', 0.1, 1200);
+
+      const result = account.prepaymentSchedule({
+        lumpSums: [{ period: 6 }],
+        prepaymentPenaltyRate: 0.02,
+      });
+
+      const payoff = result.schedule.at(-1);
+      expect(result.payoffPeriod).toBe(6);
+      expect(result.payoffDate).toBeUndefined();
+      expect(payoff.penalty.toDecimal()).toBeCloseTo(payoff.extraPrincipal.toDecimal() * 0.02, 2);
+      expect(result.totalPenalty.equals(payoff.penalty)).toBe(true);
+      expect(
+        payoff.payment.equals(payoff.interest.addTo(payoff.principal).addTo(payoff.penalty)),
+      ).toBe(true);
+      expect(result.interestSaved.toDecimal()).toBeCloseTo(18.05, 2);
+    });
+
+    it('matches the amortization schedule without prepayments', () => {
+      const account = new Account(6, 'MONTH', 0.05, 1150);
+
+      const { schedule, interestSaved } = account.prepaymentSchedule();
+
+      expect(schedule.map(({ payment }) => payment.toDecimal())).toEqual(
+        account.amortizationSchedule().map(({ payment }) => payment.toDecimal()),
+      );
+      expect(interestSaved.toDecimal()).toBe(0);
+    });
+
+    it.each([
+      { label: 'negative extra payment', options: { extraPayment: -10 }, message: /extra/i },
+      { label: 'negative penalty', options: { prepaymentPenaltyRate: -0.1 }, message: /penalty/i },
+      {
+        label: 'lump sum past term',
+        options: { lumpSums: [{ period: 13 }] },
+        message: /lump sum/i,
+      },
+      {
+        label: 'negative lump sum',
+        options: { lumpSums: [{ period: 2, amount: -5 }] },
+        message: /lump sum/i,
+      },
+    ])('rejects invalid prepayments (%s)', ({ options, message }) => {
+      const account = new Account(12, 'MONTH', 0.1, 1200);
+
+      expect(() => account.prepaymentSchedule(options)).toThrow(message);
+    });
+  });
+
+  describe('daily simple interest', () => {
+    const dailyOptions = { accrualMethod: 'daily_simple', startDate: '2025-01-15' };
+
+    it('requires a start date and a known accrual method', () => {
+      expect(() => new Account(3, 'MONTH', 0.12, 3000, { accrualMethod: 'DAILY_SIMPLE' })).toThrow(
+        /startDate/,
+      );
+      expect(() => new Account(3, 'MONTH', 0.12, 3000, { accrualMethod: 'HOURLY' })).toThrow(
+        /accrual method/i,
+      );
+    });
+
+    it('charges interest for the calendar days between due dates', () => {
+      const account = new Account(3, 'MONTH', 0.12, 3000, dailyOptions);
+
+      const schedule = account.amortizationSchedule();
+
+      expect(account.accrualMethod).toBe('DAILY_SIMPLE');
+      expect(schedule.map(({ days }) => days)).toEqual([31, 28, 31]);
+      expect(schedule[0].date.toISOString()).toBe('2025-02-15T00:00:00.000Z');
+      expect(schedule[0].interest.toDecimal()).toBeCloseTo((3000 * 0.12 * 31) / 365, 2);
+      expect(schedule[1].interest.toDecimal()).toBeCloseTo(18.51, 2);
+      expect(schedule.at(-1).payment.toDecimal()).toBeCloseTo(1019.23, 2);
+      expect(schedule.at(-1).balance.toDecimal()).toBe(0);
+      expect(account.totalInterest().toDecimal()).toBeCloseTo(59.37, 2);
+    });
+
+    it('shifts the interest split when payments are made early or late', () => {
+      const account = new Account(3, 'MONTH', 0.12, 3000, dailyOptions);
+
+      const schedule = account.amortizationSchedule({
+        paymentDates: ['2025-02-10', '2025-03-25', '2025-04-15'],
+      });
+
+      expect(schedule.map(({ days }) => days)).toEqual([26, 43, 21]);
+      expect(schedule[0].principal.toDecimal()).toBeCloseTo(994.43, 2);
+      expect(schedule[1].interest.toDecimal()).toBeCloseTo(28.35, 2);
+      expect(schedule.at(-1).payment.toDecimal()).toBeCloseTo(1020.85, 2);
+    });
+
+    it('rejects payment dates that are missing or out of order', () => {
+      const account = new Account(3, 'MONTH', 0.12, 3000, dailyOptions);
+
+      expect(() => account.amortizationSchedule({ paymentDates: ['2025-02-15'] })).toThrow(
+        /one date per period/,
+      );
+      expect(() =>
+        account.amortizationSchedule({
+          paymentDates: ['2025-03-15', '2025-02-15', '2025-04-15'],
+        }),
+      ).toThrow(/in order/);
+    });
+  });
+
+  describe('variable rates', () => {
+    it('re-amortizes the remaining balance when the rate changes', () => {
+      const account = new Account(12, 'MONTH', 0.06, 1200, {
+        rateChanges: [{ period: 7, rate: 0.09 }],
+      });
+
+      const schedule = account.amortizationSchedule();
+      const changes = account.paymentChanges();
+
+      expect(account.hasLevelPayments).toBe(false);
+      expect(changes).toHaveLength(2);
+      expect(changes[0].payment.equals(account.payment())).toBe(true);
+      expect(changes[1].period).toBe(7);
+      expect(changes[1].rate.toDecimal()).toBe(0.09);
+      expect(changes[1].payment.toDecimal()).toBeCloseTo(104.17, 2);
+      expect(schedule[6].interest.toDecimal()).toBeCloseTo(
+        (schedule[5].balance.toDecimal() * 0.09) / 12,
+        2,
+      );
+      expect(schedule[6].payment.equals(changes[1].payment)).toBe(true);
+      expect(schedule.at(-1).balance.toDecimal()).toBe(0);
+      expect(account.totalInterest().toDecimal()).toBeCloseTo(44.74, 2);
+    });
+
+    it('maps effective dates to the first period starting on or after them', () => {
+      const account = new Account(12, 'MONTH', 0.06, 1200, {
+        startDate: '2025-01-10',
+        rateChanges: [
+          { effectiveDate: '2025-04-01', rate: 0.03 },
+          { effectiveDate: '2026-06-01', rate: 0.2 },
+        ],
+      });
+
+      expect(account.rateChanges.map(({ period }) => period)).toEqual([4]);
+      expect(account.paymentChanges().map(({ period }) => period)).toEqual([1, 4]);
+    });
+
+    it('replaces the opening rate when a change is effective from the first period', () => {
+      const account = new Account(12, 'MONTH', 0.06, 1200, {
+        rateChanges: [{ period: 1, rate: 0.1 }],
+      });
+
+      expect(account.paymentChanges()).toHaveLength(1);
+      expect(account.paymentChanges()[0].payment.toDecimal()).toBeCloseTo(105.5, 2);
+      expect(account.payment().equals(account.amortizationSchedule()[0].payment)).toBe(true);
+      expect(account.payment().toDecimal()).toBeCloseTo(105.5, 2);
+    });
+
+    it.each([
+      { label: 'negative rate', change: { period: 2, rate: -0.01 }, message: /rate/i },
+      { label: 'missing period', change: { rate: 0.05 }, message: /period/i },
+      {
+        label: 'effective date without start date',
+        change: { effectiveDate: '2025-04-01', rate: 0.05 },
+        message: /startDate/,
+      },
+    ])('rejects invalid rate changes (%s)', ({ change, message }) => {
+      expect(() => new Account(12, 'MONTH', 0.06, 1200, { rateChanges: [change] })).toThrow(
+        message,
+      );
+    });
+  });
+
+  describe('interest-only and balloon structures', () => {
+    it('pays only interest before amortizing over the remaining periods', () => {
+      const account = new Account(12, 'MONTH', 0.06, 1200, { interestOnlyPeriodCount: 6 });
+
+      const schedule = account.amortizationSchedule();
+
+      expect(account.hasLevelPayments).toBe(false);
+      schedule.slice(0, 6).forEach((entry) => {
+        expect(entry.payment.toDecimal()).toBe(6);
+        expect(entry.principal.toDecimal()).toBe(0);
+        expect(entry.balance.toDecimal()).toBe(1200);
+      });
+      expect(account.payment().toDecimal()).toBeCloseTo(203.51, 2);
+      expect(schedule[6].payment.equals(account.payment())).toBe(true);
+      expect(schedule.at(-1).balance.toDecimal()).toBe(0);
+      expect(account.totalInterest().toDecimal()).toBeCloseTo(57.08, 2);
+    });
+
+    it('leaves a balloon payment when amortizing over a longer term', () => {
+      const account = new Account(12, 'MONTH', 0.06, 12000, { amortizationPeriodCount: 60 });
+
+      const schedule = account.amortizationSchedule();
+
+      expect(account.payment().toDecimal()).toBeCloseTo(231.99, 2);
+      expect(schedule[10].payment.equals(account.payment())).toBe(true);
+      expect(account.balloonPayment().toDecimal()).toBeCloseTo(10110.4, 2);
+      expect(schedule.at(-1).balance.toDecimal()).toBe(0);
+      expect(account.totalInterest().toDecimal()).toBeCloseTo(662.29, 2);
+    });
+
+    it('returns the last installment as the balloon of a fully amortizing loan', () => {
+      const account = new Account(6, 'MONTH', 0, 1000);
+
+      expect(account.balloonPayment().toDecimal()).toBeCloseTo(166.65, 2);
+    });
+
+    it.each([
+      { label: 'negative interest-only', options: { interestOnlyPeriodCount: -1 } },
+      { label: 'interest-only for the whole term', options: { interestOnlyPeriodCount: 12 } },
+      { label: 'short amortization', options: { amortizationPeriodCount: 6 } },
+      { label: 'fractional amortization', options: { amortizationPeriodCount: 24.5 } },
+    ])('rejects invalid structures (%s)', ({ options }) => {
+      expect(() => new Account(12, 'MONTH', 0.06, 1200, options)).toThrow(/period count/i);
+    });
+  });
+
+  describe('latePaymentSchedule', () => {
+    it('charges a late fee only after the grace period and collects it with the late payment', () => {
+      const account = new Account(12, 'MONTH', 0, 1200, { lateFee: 35, lateFeeGraceDays: 10 });
+
+      const { schedule, totalLateFees, additionalCost } = account.latePaymentSchedule({
+        latePayments: [
+          { period: 2, daysLate: 5 },
+          { period: 4, daysLate: 15 },
+        ],
+      });
+
+      expect(schedule[1].lateFee.toDecimal()).toBe(0);
+      expect(schedule[3].lateFee.toDecimal()).toBe(35);
+      expect(schedule[3].payment.toDecimal()).toBe(135);
+      expect(schedule[3].balance.toDecimal()).toBe(800);
+      expect(schedule.at(-1).payment.toDecimal()).toBe(100);
+      expect(totalLateFees.toDecimal()).toBe(35);
+      expect(additionalCost.toDecimal()).toBe(35);
+    });
+
+    it('re-amortizes at the penalty rate after a missed payment', () => {
+      const account = new Account(12, 'MONTH', 0, 1200, { lateFee: 35, penaltyRate: 0.2999 });
+
+      const { schedule, totalInterest, additionalCost } = account.latePaymentSchedule({
+        missedPeriods: [3],
+      });
+
+      expect(schedule[2]).toMatchObject({ missed: true });
+      expect(schedule[2].payment.toDecimal()).toBe(0);
+      expect(schedule[2].balance.toDecimal()).toBe(1035);
+      expect(schedule[3].interest.toDecimal()).toBeCloseTo(25.87, 2);
+      expect(schedule[3].payment.toDecimal()).toBeCloseTo(129.84, 2);
+      expect(schedule.at(-1).balance.toDecimal()).toBe(0);
+      expect(totalInterest.toDecimal()).toBeCloseTo(133.6, 2);
+      expect(additionalCost.toDecimal()).toBeCloseTo(168.6, 2);
+    });
+
+    it('accrues daily simple interest for the days a payment is late', () => {
+      const account = new Account(3, 'MONTH', 0.12, 3000, {
+        accrualMethod: 'DAILY_SIMPLE',
+        startDate: '2025-01-15',
+        lateFee: 25,
+      });
+
+      const { schedule, additionalCost } = account.latePaymentSchedule({
+        latePayments: [{ period: 1, daysLate: 10 }],
+      });
+
+      expect(schedule[0].days).toBe(41);
+      expect(schedule[0].interest.toDecimal()).toBeCloseTo(40.44, 2);
+      expect(additionalCost.toDecimal()).toBeCloseTo(28.35, 2);
+    });
+
+    it('collects the late fee on a late final payment', () => {
+      const account = new Account(12, 'MONTH', 0, 1200, { lateFee: 35 });
+
+      const { schedule, totalLateFees, additionalCost } = account.latePaymentSchedule({
+        latePayments: [{ period: 12, daysLate: 5 }],
+      });
+
+      expect(schedule.at(-1).payment.toDecimal()).toBe(135);
+      expect(schedule.at(-1).balance.toDecimal()).toBe(0);
+      expect(totalLateFees.toDecimal()).toBe(35);
+      expect(additionalCost.toDecimal()).toBe(35);
+    });
+
+    it.each([
+      { label: 'missing the final period', options: { missedPeriods: [12] } },
+      { label: 'missing period zero', options: { missedPeriods: [0] } },
+      { label: 'late beyond the term', options: { latePayments: [{ period: 13, daysLate: 3 }] } },
+      { label: 'negative days late', options: { latePayments: [{ period: 2, daysLate: -1 }] } },
+    ])('rejects invalid late payment inputs (%s)', ({ options }) => {
+      const account = new Account(12, 'MONTH', 0.06, 1200, { lateFee: 35 });
+
+      expect(() => account.latePaymentSchedule(options)).toThrow();
+    });
+
+    it.each([
+      { label: 'negative late fee', options: { lateFee: -5 } },
+      { label: 'fractional grace days', options: { lateFeeGraceDays: 1.5 } },
+      { label: 'negative penalty rate', options: { penaltyRate: -0.1 } },
+    ])('rejects invalid late payment terms (%s)', ({ options }) => {
+      expect(() => new Account(12, 'MONTH', 0.06, 1200, options)).toThrow();
+    });
+  });
+
+  describe('solveRate', () => {
+    it('derives the rate implied by a checkout payment', () => {
+      const rate = solveRate({ principal: 1999, periodCount: 24, payment: 89.99 });
+
+      expect(rate).toBeInstanceOf(Amount);
+      expect(rate.toDecimal()).toBeCloseTo(0.075394, 6);
+      expect(new Account(24, 'MONTH', rate.toDecimal(), 1999).payment().toDecimal()).toBeCloseTo(
+        89.99,
+        2,
+      );
+    });
+
+    it('annualizes using the period type', () => {
+      const monthly = solveRate({ principal: 1200, periodCount: 12, payment: 105.5 });
+      const weekly = solveRate({
+        principal: 1200,
+        periodCount: 52,
+        payment: 24.27,
+        periodType: 'WEEK',
+      });
+
+      expect(monthly.toDecimal()).toBeCloseTo(0.1, 4);
+      expect(weekly.toDecimal()).toBeCloseTo(0.1, 2);
+    });
+
+    it('solves zero rate payment plans', () => {
+      const rate = solveRate({ principal: 1200, periodCount: 12, payment: 100 });
+
+      expect(rate.toDecimal()).toBe(0);
+    });
+
+    it('rejects payments that never repay the principal', () => {
+      expect(() => solveRate({ principal: 1200, periodCount: 12, payment: 99 })).toThrow(
+        /do not repay/,
+      );
+      expect(() => solveRate({ principal: 1200, periodCount: 0, payment: 100 })).toThrow(/period/i);
+    });
+  });
+
+  describe('solveTerm', () => {
+    it.each([
+      { label: 'quoted payment', payment: 105.5, expected: 12 },
+      { label: 'larger payment', payment: 200, expected: 7 },
+    ])('counts the periods needed to repay the loan (%s)', ({ payment, expected }) => {
+      expect(solveTerm({ principal: 1200, rate: 0.1, payment })).toBe(expected);
+    });
+
+    it('counts the final partial payment for zero rate loans', () => {
+      expect(solveTerm({ principal: 1250, rate: 0, payment: 100 })).toBe(13);
+    });
+
+    it('rejects payments that do not cover interest', () => {
+      expect(() => solveTerm({ principal: 1200, rate: 0.12, payment: 12 })).toThrow(/interest/);
+    });
+  });
 });
@@ -0,0 +1,143 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  Account,
+  apyFromPrice,
+  bondEquivalentYieldFromPrice,
+  discountYieldFromPrice,
+  priceFromApy,
+  priceFromBondEquivalentYield,
+  priceFromDiscountYield,
+} from '../../src/accounts/treasury-bill.js';
+import { Amount } from '../../src/math/mini-money.js';
+
+describe('treasury bill', () => {
+  describe('yield conversions', () => {
+    it('prices a 13 week bill from its discount yield', () => {
+      const price = priceFromDiscountYield(0.05, 91);
+
+      expect(price.toDecimal()).toBeCloseTo(1 - (0.05 * 91) / 360, 12);
+      expect(discountYieldFromPrice(price, 91).toDecimal()).toBeCloseTo(0.05, 12);
+    });
+
+    it('converts the discount yield to bond equivalent and annual yields', () => {
+      const price = priceFromDiscountYield(0.05, 91);
+
+      expect(bondEquivalentYieldFromPrice(price, 91).toDecimal()).toBeCloseTo(
+        (365 * 0.05) / (360 - 0.05 * 91),
+        12,
+      );
+      expect(apyFromPrice(price, 91).toDecimal()).toBeCloseTo(
+        (1 / price.toDecimal()) ** (365 / 91) - 1,
+        10,
+      );
+    });
+
+    it.each([
+      {
+        label: 'bond equivalent yield',
+        toPrice: priceFromBondEquivalentYield,
+        fromPrice: bondEquivalentYieldFromPrice,
+      },
+      { label: 'apy', toPrice: priceFromApy, fromPrice: apyFromPrice },
+    ])('round trips the $label through the price', ({ toPrice, fromPrice }) => {
+      expect(fromPrice(toPrice(0.048, 182), 182).toDecimal()).toBeCloseTo(0.048, 10);
+    });
+
+    it('rejects invalid terms', () => {
+      expect(() => priceFromDiscountYield(0.05, 0)).toThrow(/term days/i);
+    });
+  });
+
+  describe('Account', () => {
+    it('quotes the same bill by any one of its yields', () => {
+      const quoted = new Account(10000, { termWeeks: 13, discountYield: 0.05 });
+      const byApy = new Account(10000, { termWeeks: 13, apy: quoted.apy });
+      const byBondEquivalent = new Account(10000, {
+        termWeeks: 13,
+        bondEquivalentYield: quoted.bondEquivalentYield,
+      });
+
+      expect(quoted.termDays).toBe(91);
+      expect(byApy.discountYield.toDecimal()).toBeCloseTo(0.05, 10);
+      expect(byBondEquivalent.discountYield.toDecimal()).toBeCloseTo(0.05, 10);
+    });
+
+    it('prices purchases and maturity values in cents', () => {
+      const account = new Account(0, { termWeeks: 13, discountYield: 0.05 });
+
+      const price = account.purchasePrice(10000);
+
+      expect(price).toBeInstanceOf(Amount);
+      expect(price.toDecimal()).toBe(9873.61);
+      expect(account.maturityValue(price).toDecimal()).toBe(10000);
+    });
+
+    it('credits the discount when each roll of bills matures', () => {
+      const account = new Account(9873.61, { termWeeks: 13, discountYield: 0.05 });
+
+      account.accrueForDaysWithPosting(90, '2025-01-02');
+      expect(account.balance.toDecimal()).toBe(9873.61);
+      expect(account.pendingInterest.toDecimal()).toBeCloseTo(124.99, 2);
+      account.accrueForDaysWithPosting(1, '2025-04-02');
+
+      expect(account.balance.toDecimal()).toBe(10000);
+      expect(account.interestAccrued.toDecimal()).toBeCloseTo(126.39, 2);
+    });
+
+    it('matures rolls on calendar dates counted from the first purchase', () => {
+      const account = new Account(9873.61, { termWeeks: 13, discountYield: 0.05 });
+
+      account.accrueForDaysWithPosting(30, '2025-01-02');
+      account.accrueForDaysWithPosting(60, '2025-02-01');
+      expect(account.interestAccrued.toDecimal()).toBe(0);
+      account.accrueForDaysWithPosting(1, '2025-04-02');
+
+      expect(account.balance.toDecimal()).toBe(10000);
+      expect(() => account.accrueForDaysWithPosting(1)).toThrow(/startDate/);
+    });
+
+    it('credits idealized accruals at the end of the span', () => {
+      const account = new Account(1000, { termWeeks: 4, apy: 0.05 });
+
+      account.accrueForDays(31);
+
+      expect(account.balance.toDecimal()).toBeCloseTo(1000 * 1.05 ** (31 / 365), 2);
+    });
+
+    it('withdraws from the credited balance', () => {
+      const account = new Account(1000, { termWeeks: 4, discountYield: 0.05 });
+
+      account.withdraw(250);
+
+      expect(account.balance.toDecimal()).toBe(750);
+      expect(() => account.withdraw(-1)).toThrow(/withdrawal/i);
+    });
+
+    it('reports the shortfall for a withdrawal', () => {
+      const account = new Account(100, { termWeeks: 4, discountYield: 0.05 });
+
+      expect(account.shortfallFor(80).toDecimal()).toBe(0);
+      expect(account.shortfallFor(130).toDecimal()).toBe(30);
+    });
+
+    it('buys more bills with deposits', () => {
+      const account = new Account(1000, { termWeeks: 4, discountYield: 0.05 });
+
+      account.deposit(250);
+
+      expect(account.balance.toDecimal()).toBe(1250);
+      expect(() => account.deposit(-1)).toThrow(/deposit/i);
+    });
+
+    it.each([
+      { label: 'no yield', quote: { termWeeks: 13 } },
+      { label: 'two yields', quote: { discountYield: 0.05, apy: 0.05 } },
+      { label: 'negative yield', quote: { discountYield: -0.01 } },
+      { label: 'long term', quote: { termWeeks: 52, discountYield: 0.05 } },
+      { label: 'fractional term', quote: { termWeeks: 4.5, discountYield: 0.05 } },
+    ])('rejects invalid quotes ($label)', ({ quote }) => {
+      expect(() => new Account(1000, quote)).toThrow();
+    });
+  });
+});
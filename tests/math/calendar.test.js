@@ -3,6 +3,9 @@ import { describe, expect, it } from 'vitest';
 import {
   addDays,
   addMonthsPreserveDay,
+  addPaymentPeriods,
+  addSemiMonthsPreserveDay,
+  addWeeks,
   daysBetween,
   isSameDay,
   lastDayOfMonth,
@@ -67,6 +70,44 @@ describe('calendar utilities', () => {
     });
   });
 
+  describe('when adding weeks and half months', () => {
+    it('adds whole calendar weeks', () => {
+      const start = normalizeDate('2025-12-24');
+
+      expect(isSameDay(addWeeks(start, 1), normalizeDate('2025-12-31'))).toBe(true);
+      expect(isSameDay(addWeeks(start, 2), normalizeDate('2026-01-07'))).toBe(true);
+    });
+
+    it('alternates half months between the anchor day and fifteen days later', () => {
+      const jan31 = normalizeDate('2024-01-31');
+
+      expect(isSameDay(addSemiMonthsPreserveDay(jan31, 1), normalizeDate('2024-02-15'))).toBe(true);
+      expect(isSameDay(addSemiMonthsPreserveDay(jan31, 2), normalizeDate('2024-02-29'))).toBe(true);
+      expect(isSameDay(addSemiMonthsPreserveDay(jan31, 3), normalizeDate('2024-03-15'))).toBe(true);
+      expect(isSameDay(addSemiMonthsPreserveDay(jan31, 4), normalizeDate('2024-03-31'))).toBe(true);
+    });
+
+    it.each([
+      { periodType: 'WEEK', expected: '2025-01-22' },
+      { periodType: 'BIWEEK', expected: '2025-02-12' },
+      { periodType: 'SEMIMONTH', expected: '2025-02-16' },
+      { periodType: 'MONTH', expected: '2025-04-01' },
+    ])('adds $periodType payment periods', ({ periodType, expected }) => {
+      const dueDate = addPaymentPeriods('2025-01-01', periodType, 3);
+
+      expect(isSameDay(dueDate, normalizeDate(expected))).toBe(true);
+    });
+
+    it('rejects unknown payment periods', () => {
+      expect(() => addPaymentPeriods('2025-01-01', 'YEAR', 1)).toThrow(/period type/);
+    });
+
+    it('rejects non-integer offsets', () => {
+      expect(() => addWeeks('2025-01-01', 1.5)).toThrow(/integer/);
+      expect(() => addSemiMonthsPreserveDay('2025-01-01', 0.5)).toThrow(/integer/);
+    });
+  });
+
   it('computes day spans using real calendar intervals', () => {
     const start = normalizeDate('2024-01-15');
     const end = normalizeDate('2024-02-15');
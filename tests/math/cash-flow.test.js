@@ -0,0 +1,45 @@
+import { describe, expect, it } from 'vitest';
+
+import { presentValue, solvePeriodicRate } from '../../src/math/cash-flow.js';
+import { Amount } from '../../src/math/mini-money.js';
+
+const amounts = (...values) => values.map((value) => new Amount(value));
+
+describe('cash flow utilities', () => {
+  describe('presentValue', () => {
+    it('sums payments when the rate is zero', () => {
+      expect(presentValue(amounts(100, 100, 100), new Amount(0)).toDecimal()).toBe(300);
+    });
+
+    it('discounts each payment by its period', () => {
+      const result = presentValue(amounts(110, 121), new Amount(0.1));
+
+      expect(result.toDecimal()).toBeCloseTo(200, 10);
+    });
+  });
+
+  describe('solvePeriodicRate', () => {
+    it('recovers the rate used to discount the payments', () => {
+      const rate = solvePeriodicRate(new Amount(200), amounts(110, 121));
+
+      expect(rate.toDecimal()).toBeCloseTo(0.1, 10);
+    });
+
+    it('brackets rates above 100% per period', () => {
+      const rate = solvePeriodicRate(new Amount(100), amounts(300));
+
+      expect(rate.toDecimal()).toBeCloseTo(2, 10);
+    });
+
+    it('returns zero when the payments do not exceed the amount advanced', () => {
+      const rate = solvePeriodicRate(new Amount(300), amounts(100, 100, 99.99));
+
+      expect(rate.toDecimal()).toBe(0);
+    });
+
+    it('rejects empty payment streams and non-positive advances', () => {
+      expect(() => solvePeriodicRate(new Amount(100), [])).toThrow(/payment/i);
+      expect(() => solvePeriodicRate(new Amount(0), amounts(100))).toThrow(/greater than zero/i);
+    });
+  });
+});
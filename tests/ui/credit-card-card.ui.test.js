@@ -39,6 +39,22 @@ describe('credit-card-card', () => {
     expect(detail.ccRewardsRate).toBeCloseTo(0.02, 4);
     expect(detail.rewardsValue).toBeGreaterThan(0);
     expect(detail.interestValue).toBeGreaterThan(0);
+    expect(detail.minimumPayoffMonths).toBeGreaterThan(1);
+    expect(detail.minimumPayoffInterestValue).toBeGreaterThan(detail.interestValue);
+  });
+
+  it('shows the cost of paying only the minimum', async () => {
+    const element = await renderCard();
+    element.principal = 1000;
+    await element.updateComplete;
+
+    const shadow = element.shadowRoot;
+    setValue(shadow.querySelector('input[name="ccRate"]'), '28.99');
+    await element.updateComplete;
+
+    expect(shadow.querySelector('[data-role="cc-minimum-payoff"]').textContent).toBe(
+      '$1,261.78 interest over 85 months',
+    );
   });
 
   it('uses defaults and signals invalid on bad input', async () => {
@@ -63,4 +63,22 @@ describe('loan-savings-card', () => {
     expect(shadow.querySelector('[data-role="deposit-interest"]').textContent).toMatch(/\$/);
     expect(shadow.querySelector('[data-role="loan-savings-cost"]').textContent).toMatch(/\$/);
   });
+
+  it('solves the loan rate from a quoted payment when no rate is entered', async () => {
+    const simulateSpy = vi.spyOn(TradeoffComparison.prototype, 'simulateScenario');
+    const element = await renderCard();
+    element.principal = 1999;
+    await element.updateComplete;
+
+    const shadow = element.shadowRoot;
+    setValue(shadow.querySelector('input[name="termMonths"]'), '24');
+    setValue(shadow.querySelector('input[name="payment"]'), '89.99');
+    setValue(shadow.querySelector('input[name="apy"]'), '4');
+    await element.updateComplete;
+
+    expect(simulateSpy).toHaveBeenCalled();
+    expect(simulateSpy.mock.calls.at(-1)[0].loanRate).toBeCloseTo(0.075394, 6);
+    expect(element.loan.payment().toDecimal()).toBeCloseTo(89.99, 2);
+    expect(shadow.querySelector('[data-role="loan-payment"]').textContent).toMatch(/89\.99/);
+  });
 });
@@ -128,6 +128,23 @@ describe('tradeoff-widget', () => {
     expect(ccDetail.ccRate).toBeCloseTo(0.2899, 4);
   });
 
+  it('summarizes the credit card cost of paying only the minimum', async () => {
+    const element = await renderWidget();
+    const shadow = element.shadowRoot;
+    const creditCardShadow = getCreditCardShadow(shadow);
+
+    setValue(shadow.querySelector('input[name="principal"]'), '1000');
+    setValue(creditCardShadow.querySelector('input[name="ccRewardsRate"]'), '2');
+    setValue(creditCardShadow.querySelector('input[name="ccRate"]'), '28.99');
+    await creditCardShadow.host.updateComplete;
+    await element.updateComplete;
+
+    expect(shadow.querySelector('[data-role="cc-minimum-payoff"]').textContent).toBe(
+      '$1,261.78 interest over 85 months',
+    );
+    expect(element.metrics.cardNetCost).toBeCloseTo(1241.78, 2);
+  });
+
   it('clears the result when an input is emptied after a valid calculation', async () => {
     vi.spyOn(TradeoffComparison.prototype, 'simulateScenario').mockReturnValue({
       net: { toDecimal: () => 50 },